@@ -0,0 +1,6 @@
+// Matches the extra regular expression flags which may be used with string
+// search modifiers like `contains`: `u` (Unicode-aware) and/or `s`, each at
+// most once.  (Wildcards always match line breaks, so `s` makes no difference--
+// it is only accepted for compatibility.)
+// e.g. `'u'` or `'us'`
+module.exports = /^(?:u?s?|su)$/;
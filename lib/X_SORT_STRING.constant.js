@@ -0,0 +1,4 @@
+// Matches a single segment of a string `sort` clause, capturing the attribute
+// name, the (optional) direction, and the (optional) placement of nulls.
+// e.g. `'name'`, `'name DESC'`, or `'name DESC NULLS LAST'`
+module.exports = /^\s*(\S+)(?:\s+(ASC|DESC))?(?:\s+NULLS\s+(FIRST|LAST))?\s*$/i;
@@ -0,0 +1,42 @@
+/**
+ * Module dependencies
+ */
+
+const getNumericValues = require('./private/get-numeric-values');
+
+/**
+ * Compute the mean of each attribute in `attrNames` across the tuples in `data`.
+ *
+ * > Values which are not numbers or numeric strings (including `null`)
+ * > are ignored, and do not count towards the divisor.  If there are no
+ * > numeric values to average, the result for that attribute is `null`.
+ *
+ * @param  { Dictionary[] }       data
+ * @param  { String | String[] }  attrNames
+ * @return { Dictionary }         [e.g. `{ age: 39 }`]
+ */
+module.exports = function(data, attrNames)
+{
+	if (!attrNames)
+	{
+		return {};
+	}
+
+	attrNames = Array.isArray(attrNames) ? attrNames : [attrNames];
+
+	return attrNames.reduce(function(memo, attrName)
+	{
+		const values = getNumericValues(data, attrName);
+		if (values.length === 0)
+		{
+			memo[attrName] = null;
+			return memo;
+		}
+
+		memo[attrName] = values.reduce(function(total, value)
+		{
+			return total + value;
+		}, 0) / values.length;
+		return memo;
+	}, {});
+};
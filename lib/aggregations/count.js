@@ -0,0 +1,15 @@
+/**
+ * Count the tuples in `data`.
+ *
+ * @param  { Dictionary[] }  data
+ * @return { Number }
+ */
+module.exports = function(data)
+{
+	if (!data)
+	{
+		return 0;
+	}
+
+	return data.length;
+};
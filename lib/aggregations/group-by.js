@@ -0,0 +1,159 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const isDate = require('lodash.isdate');
+
+const _sum = require('./sum');
+const _average = require('./average');
+const _min = require('./min');
+const _max = require('./max');
+const _count = require('./count');
+
+// The aggregations that can be computed for each group, by criteria key.
+const AGGREGATIONS = {
+	sum     : _sum,
+	average : _average,
+	min     : _min,
+	max     : _max
+};
+
+/**
+ * Partition the tuples in `data` by the attribute(s) in `groupBy`,
+ * then compute the requested aggregations for each group.
+ *
+ * Each resulting row contains the value of every `groupBy` attribute,
+ * the aggregated value of every attribute listed in `sum`, `average`,
+ * `min`, or `max` (stored under the attribute's own name), and, if
+ * `aggregations.count` is truthy, the number of tuples in the group
+ * (stored as `count`).  Rows are returned in the order their groups
+ * were first encountered in `data`.
+ *
+ * @param  { Dictionary[] }       data
+ * @param  { String | String[] }  groupBy
+ * @param  { Dictionary }         aggregations  [e.g. `{ sum: ['age'], count: true }`]
+ * @param  { Number[]? }          indices       [the original index of each tuple in `data`-- if specified,
+ *                                               returns `{ rows, indices }` instead, where `indices` holds the
+ *                                               array of original indices of the tuples in each row's group]
+ * @return { Dictionary[] | Dictionary }
+ *
+ * @throws {Error} If the same attribute is requested from more than one aggregation
+ *         @property {String} `code: 'E_CRITERIA_UNPARSEABLE'`
+ */
+module.exports = function(data, groupBy, aggregations, indices)
+{
+	if (!data)
+	{
+		return data;
+	}
+
+	groupBy = Array.isArray(groupBy) ? groupBy : [groupBy];
+	aggregations = aggregations || {};
+
+	// Since aggregated values are stored under the attribute's own name,
+	// make sure no two aggregations (or group-by attributes) would clobber
+	// each other.
+	const claimedBy = Object.create(null);
+	groupBy.forEach(function(attrName)
+	{
+		claimedBy[attrName] = 'groupBy';
+	});
+	Object.keys(AGGREGATIONS).forEach(function(aggregationName)
+	{
+		const attrNames = aggregations[aggregationName];
+		if (!attrNames)
+		{
+			return;
+		}
+
+		(Array.isArray(attrNames) ? attrNames : [attrNames]).forEach(function(attrName)
+		{
+			if (claimedBy[attrName])
+			{
+				throw flaverr('E_CRITERIA_UNPARSEABLE', new Error(`Cannot use \`${attrName}\` in both \`${claimedBy[attrName]}\` and \`${aggregationName}\` in the same grouped query.  (Got: \`${util.inspect(aggregations, {depth: null})}\`)`));
+			}
+			claimedBy[attrName] = aggregationName;
+		});
+	});
+
+	// (The number of tuples in each group is stored as `count`, too.)
+	if (aggregations.count && claimedBy.count)
+	{
+		throw flaverr('E_CRITERIA_UNPARSEABLE', new Error(`Cannot use \`count\` in \`${claimedBy.count}\` when also counting the tuples in each group (which are stored as \`count\`).  (Got: \`${util.inspect(aggregations, {depth: null})}\`)`));
+	}
+
+	// Partition the tuples, remembering the order in which groups were discovered.
+	const groups = [];
+	const groupsByKey = {};
+	data.forEach(function(tuple, i)
+	{
+		const values = groupBy.map(function(attrName)
+		{
+			return tuple[attrName];
+		});
+
+		const key = JSON.stringify(values.map(function(value)
+		{
+			// Distinguish `null` from `undefined`, and dates from ISO strings.
+			if (value === undefined) {return {undefined: true};}
+			if (isDate(value)) {return {date: value.getTime()};}
+			return value;
+		}));
+
+		if (!groupsByKey[key])
+		{
+			groupsByKey[key] = {
+				values  : values,
+				tuples  : [],
+				indices : []
+			};
+			groups.push(groupsByKey[key]);
+		}
+		groupsByKey[key].tuples.push(tuple);
+		if (indices)
+		{
+			groupsByKey[key].indices.push(indices[i]);
+		}
+	});
+
+	// Build one row per group.
+	const rows = groups.map(function(group)
+	{
+		const row = {};
+
+		groupBy.forEach(function(attrName, i)
+		{
+			row[attrName] = group.values[i];
+		});
+
+		Object.keys(AGGREGATIONS).forEach(function(aggregationName)
+		{
+			if (aggregations[aggregationName])
+			{
+				Object.assign(row, AGGREGATIONS[aggregationName](group.tuples, aggregations[aggregationName]));
+			}
+		});
+
+		if (aggregations.count)
+		{
+			row.count = _count(group.tuples);
+		}
+
+		return row;
+	});
+
+	if (indices)
+	{
+		return {
+			rows    : rows,
+			indices : groups.map(function(group)
+			{
+				return group.indices;
+			})
+		};
+	}
+
+	return rows;
+};
@@ -0,0 +1,36 @@
+/**
+ * Module dependencies
+ */
+
+const getNumericValues = require('./private/get-numeric-values');
+
+/**
+ * Find the largest value of each attribute in `attrNames` across the tuples in `data`.
+ *
+ * > Values which are not numbers or numeric strings (including `null`)
+ * > are ignored.  If there are no numeric values to compare, the result
+ * > for that attribute is `null`.
+ *
+ * @param  { Dictionary[] }       data
+ * @param  { String | String[] }  attrNames
+ * @return { Dictionary }         [e.g. `{ age: 72 }`]
+ */
+module.exports = function(data, attrNames)
+{
+	if (!attrNames)
+	{
+		return {};
+	}
+
+	attrNames = Array.isArray(attrNames) ? attrNames : [attrNames];
+
+	return attrNames.reduce(function(memo, attrName)
+	{
+		const values = getNumericValues(data, attrName);
+		memo[attrName] = values.length === 0 ? null : values.reduce(function(soFar, value)
+		{
+			return value > soFar ? value : soFar;
+		});
+		return memo;
+	}, {});
+};
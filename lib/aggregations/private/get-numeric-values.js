@@ -0,0 +1,41 @@
+/**
+ * Module dependencies
+ */
+
+const isNumber = require('lodash.isnumber');
+const isString = require('lodash.isstring');
+
+/**
+ * getNumericValues()
+ *
+ * Collect the numeric values of `attrName` across the tuples in `data`.
+ *
+ * > `null`, `undefined`, and anything else which cannot be parsed as a
+ * > finite number (dictionaries, booleans, non-numeric strings, etc.)
+ * > is ignored.  Numeric strings like `'42'` are cast to numbers.
+ *
+ * @param  { Dictionary[] }  data
+ * @param  { String }        attrName
+ * @return { Number[] }
+ */
+module.exports = function getNumericValues(data, attrName)
+{
+	const values = [];
+
+	(data || []).forEach(function(tuple)
+	{
+		let value = tuple ? tuple[attrName] : undefined;
+
+		if (isString(value) && value.trim() !== '')
+		{
+			value = Number(value);
+		}
+
+		if (isNumber(value) && isFinite(value))
+		{
+			values.push(value);
+		}
+	});
+
+	return values;
+};
@@ -0,0 +1,34 @@
+/**
+ * Module dependencies
+ */
+
+const getNumericValues = require('./private/get-numeric-values');
+
+/**
+ * Compute the sum of each attribute in `attrNames` across the tuples in `data`.
+ *
+ * > Values which are not numbers or numeric strings (including `null`)
+ * > are ignored.  The sum of an empty result set is `0`.
+ *
+ * @param  { Dictionary[] }       data
+ * @param  { String | String[] }  attrNames
+ * @return { Dictionary }         [e.g. `{ age: 117 }`]
+ */
+module.exports = function(data, attrNames)
+{
+	if (!attrNames)
+	{
+		return {};
+	}
+
+	attrNames = Array.isArray(attrNames) ? attrNames : [attrNames];
+
+	return attrNames.reduce(function(memo, attrName)
+	{
+		memo[attrName] = getNumericValues(data, attrName).reduce(function(total, value)
+		{
+			return total + value;
+		}, 0);
+		return memo;
+	}, {});
+};
@@ -2,20 +2,37 @@
  * Module dependencies
  */
 
+const util = require('util');
+const flaverr = require('flaverr');
 const slice = require('lodash.slice');
+const isUndefined = require('lodash.isundefined');
+const parseNonNegativeInteger = require('../private/parse-non-negative-integer');
 
 /**
  * Apply a `limit` modifier to `data` using `limit`.
  *
+ * > A `limit` of `0` returns no tuples at all.  To apply no limit,
+ * > leave `limit` undefined (or `null`).
+ *
  * @param  { Dictionary[] }  data
  * @param  { Integer }    limit
  * @return { Dictionary[] }
+ *
+ * @throws {Error} If `limit` is not a non-negative integer.
+ *         @property {String} `code: 'E_CRITERIA_UNPARSEABLE'`
  */
 module.exports = function(data, limit)
 {
-	if (limit === undefined || !data || limit === 0)
+	if (isUndefined(limit) || limit === null || !data)
 	{
 		return data;
 	}
-	return slice(data, 0, limit);
+
+	const numToKeep = parseNonNegativeInteger(limit);
+	if (isUndefined(numToKeep))
+	{
+		throw flaverr('E_CRITERIA_UNPARSEABLE', new Error(`Invalid \`limit\`: \`${util.inspect(limit, {depth: null})}\`  (\`limit\` must be a non-negative integer.)`));
+	}
+
+	return slice(data, 0, numToKeep);
 };
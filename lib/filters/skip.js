@@ -2,7 +2,11 @@
  * Module dependencies
  */
 
+const util = require('util');
+const flaverr = require('flaverr');
 const slice = require('lodash.slice');
+const isUndefined = require('lodash.isundefined');
+const parseNonNegativeInteger = require('../private/parse-non-negative-integer');
 
 /**
  * Apply a `skip` modifier to `data` using `numToSkip`.
@@ -10,15 +14,24 @@ const slice = require('lodash.slice');
  * @param  { Dictionary[] }  data
  * @param  { Integer }   numToSkip
  * @return { Dictionary[] }
+ *
+ * @throws {Error} If `numToSkip` is not a non-negative integer.
+ *         @property {String} `code: 'E_CRITERIA_UNPARSEABLE'`
  */
 module.exports = function(data, numToSkip)
 {
 
-	if (!numToSkip || !data)
+	if (isUndefined(numToSkip) || numToSkip === null || !data)
 	{
 		return data;
 	}
 
+	const parsed = parseNonNegativeInteger(numToSkip);
+	if (isUndefined(parsed))
+	{
+		throw flaverr('E_CRITERIA_UNPARSEABLE', new Error(`Invalid \`skip\`: \`${util.inspect(numToSkip, {depth: null})}\`  (\`skip\` must be a non-negative integer.)`));
+	}
+
 	// Ignore the first `numToSkip` tuples
-	return slice(data, numToSkip);
+	return slice(data, parsed);
 };
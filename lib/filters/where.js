@@ -4,7 +4,6 @@
 
 const isString = require('lodash.isstring');
 const some = require('lodash.some');
-const cloneDeep = require('lodash.clonedeep');
 const each = require('lodash.foreach');
 const isUndefined = require('lodash.isundefined');
 const isBoolean = require('lodash.isboolean');
@@ -14,28 +13,205 @@ const isObject = require('lodash.isobject');
 const filter = require('lodash.filter');
 const every = require('lodash.every');
 const isRegExp = require('lodash.isregexp');
+const util = require('util');
+const flaverr = require('flaverr');
+const resolvePath = require('../private/resolve-path');
+const coerceToDeclaredType = require('../private/coerce-to-declared-type');
+const coerceCriterion = require('../private/coerce-criterion');
+const normalizeWhereClause = require('../private/normalize-where-clause');
+const validateWhereClause = require('../validators/validate-where-clause');
 const X_ISO_DATE = require('../X_ISO_DATE.constant');
+const X_SEARCH_FLAGS = require('../X_SEARCH_FLAGS.constant');
+
+// Options which may be specified alongside a string search modifier
+// (e.g. `{ contains: 'abc', caseSensitive: true }`) to control how it matches.
+const SEARCH_OPTIONS = ['caseSensitive', 'flags', 'escape'];
+
+// The default escape character for `like` patterns (as in SQL).
+const DEFAULT_LIKE_ESCAPE = '\\';
+
+// Compiled `like` and `regex` patterns, keyed by modifier, flags, (escape character,) and pattern.
+// (Cleared whenever it reaches `REGEXP_CACHE_SIZE`, to keep memory bounded.)
+const REGEXP_CACHE = new Map();
+const REGEXP_CACHE_SIZE = 1000;
 
 /**
  * Apply a(nother) `where` filter to `data`
  *
+ * > Attributes of embedded dictionaries can be filtered on using either a
+ * > dot-delimited path (e.g. `{ 'address.city': 'Paris' }`) or a nested
+ * > dictionary (e.g. `{ address: { city: 'Paris' } }`).
+ *
+ * By default, comparisons are loose: strings are compared case-insensitively,
+ * and values of different types are compared as strings (so `1` matches `'1'`,
+ * and `true` matches `'true'`).  In strict mode, equality and ordering respect
+ * both type and case, and values of different types never match.  Strict mode
+ * can be enabled for the whole query using `options.strict`, or for individual
+ * attributes using `strict: true` in the schema.  (A `strict` flag in the schema
+ * takes precedence over `options.strict`.)
+ *
+ * If a `schema` is provided, both the criteria and the stored values for each
+ * attribute are coerced to its declared `type` before they are compared (e.g.
+ * `'0'` matches `0` for a `number` attribute, and `'true'` matches `true` for
+ * a `boolean` attribute), and `null` is only equal to `null`.  Otherwise,
+ * strings which look like numbers are compared as numbers.  Values of `json`
+ * and `ref` attributes are not coerced (but are still compared loosely, unless
+ * strict mode is enabled-- see above).
+ *
+ * String search modifiers (`like`, `contains`, `startsWith`, and `endsWith`)
+ * are case-insensitive unless `caseSensitive` is enabled, and `flags` may add
+ * extra regular expression flags (`u` and/or `s`).  These can be set for the
+ * whole query in `options`, or for individual modifiers alongside them in the
+ * `where` clause-- e.g. `{ sku: { contains: 'X', caseSensitive: true } }`.
+ *
+ * `like` patterns follow SQL semantics: `%` matches any number of characters,
+ * `_` matches exactly one, and the escape character (a backslash, unless
+ * `escape` is specified) matches a literal `%`, `_`, or escape character.
+ * The strings given to `contains`, `startsWith`, and `endsWith` are always
+ * matched literally.  For anything else, use the `regex` modifier, which takes
+ * either a RegExp or a `{ pattern, flags }` dictionary.
+ *
+ * To find out why a tuple did or didn't match, use `options.explain`: either
+ * `true` (to explain every tuple), or the index of a particular tuple in `data`.
+ * Instead of the matching tuples, this returns a dictionary with the matching
+ * tuples as `results`, and an `explain` array with one entry per explained tuple:
+ * ```
+ * {
+ *   index: 2,
+ *   matched: false,
+ *   trace: {
+ *     predicate: 'and',
+ *     outcome: false,
+ *     children: [
+ *       { predicate: '=', path: 'name', left: 'finn', right: 'jake', outcome: false }
+ *     ]
+ *   }
+ * }
+ * ```
+ * Each node in the trace is a predicate of the normalized `where` clause that
+ * was evaluated (`and`, `or`, `not`, or a modifier like `>` or `contains`, where
+ * `=` is an equality filter), along with its outcome.  Modifiers also include the
+ * `path` of the attribute, and the `left` (stored) and `right` (criterion) values,
+ * as they were compared-- i.e. after coercion and normalization (e.g. lowercasing,
+ * in loose mode).  (See `../private/normalize-where-clause.js`.)
+ *
+ * > Either way, the `where` clause is compiled into a predicate using
+ * > `compileWhere()` (see below), so it is only validated and normalized once.
+ *
  * @param  { Dictionary[] }  data
  * @param  { Dictionary }    where
- * @return { Dictionary[] }
+ * @param  { Dictionary? }   schema   [e.g. `{ code: { type: 'string', strict: true } }`]
+ * @param  { Dictionary? }   options
+ *         @property { Boolean? } strict
+ *         @property { Boolean? } caseSensitive
+ *         @property { String? }  flags
+ *         @property { String? }  escape
+ *         @property { Boolean | Number? } explain
+ *         @property { Boolean? } validateSchema  [also check the `where` clause against `schema`]
+ * @return { Dictionary[] | Dictionary }  [if `options.explain` is set, a dictionary with `results` and `explain`]
+ *
+ * @throws {Error} If the `where` clause cannot be parsed.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If `options.validateSchema` is set, and the `where` clause refers to an attribute which is not in the schema.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`
+ *
+ * @throws {Error} If `options.validateSchema` is set, and the `where` clause uses a modifier which does not fit the declared type of an attribute.
+ *         @property {String} `code: 'E_MODIFIER_NOT_SUPPORTED'`
+ *
+ * @throws {Error} If a criterion cannot be coerced to the type declared for its attribute.
+ *         @property {String} `code: 'E_FILTER_NOT_USABLE'`
  */
-module.exports = function(data, where, schema)
+module.exports = function(data, where, schema, options)
 {
 	if (!data) {return data;}
 
-	schema = schema || {};
+	options = options || {};
+	const matches = compilePredicate(where, schema, options);
 
-	return filter(data, function(tuple)
+	if (isUndefined(options.explain) || options.explain === false)
 	{
-		return matchSet(tuple, where, undefined, schema);
+		return filter(data, function(tuple)
+		{
+			return matches(tuple);
+		});
+	}
+
+	const explanations = [];
+	const results = filter(data, function(tuple, i)
+	{
+		if (options.explain !== true && options.explain !== i)
+		{
+			return matches(tuple);
+		}
+
+		// Record a trace of every predicate that gets evaluated for this tuple.
+		const root = {};
+		const matched = matches(tuple, root);
+		explanations.push({
+			index   : i,
+			matched : matched,
+			trace   : root.children[0]
+		});
+		return matched;
 	});
 
+	return {
+		results : results,
+		explain : explanations
+	};
+
 };
 
+/**
+ * compileWhere()
+ *
+ * Validate and normalize a `where` clause once, and compile it into a predicate
+ * which checks whether a single record matches it-- exactly like `_where()`, but
+ * without re-interpreting the clause for every record.
+ *
+ * ```
+ * const isAdult = compileWhere({ age: { '>=': 18 } }, { age: { type: 'number' } });
+ * isAdult({ name: 'Finn', age: '14' });  // => false
+ * people.filter(isAdult);
+ * ```
+ *
+ * The predicate can be called as many times as needed (e.g. for each record in
+ * a stream), and ignores any extra arguments (so it can be passed straight to
+ * `Array.prototype.filter()`).
+ *
+ * If `options.validateSchema` is set, the `where` clause is also checked against
+ * the `schema` (see `validateWhereClause()`)-- so every attribute it refers to
+ * must be declared.  Otherwise, the schema may be partial.
+ *
+ * @param  { Dictionary? }   where
+ * @param  { Dictionary? }   schema   [e.g. `{ code: { type: 'string', strict: true } }`]
+ * @param  { Dictionary? }   options  [`strict`, `caseSensitive`, `flags`, `escape`, and `validateSchema`-- see above]
+ * @return { Function }      [`(record) => Boolean`]
+ *
+ * @throws {Error} If the `where` clause cannot be parsed.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If `options.validateSchema` is set, and the `where` clause refers to an attribute which is not in the schema.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`
+ *
+ * @throws {Error} If `options.validateSchema` is set, and the `where` clause uses a modifier which does not fit the declared type of an attribute.
+ *         @property {String} `code: 'E_MODIFIER_NOT_SUPPORTED'`
+ *
+ * @throws {Error} If a criterion cannot be coerced to the type declared for its attribute.
+ *         @property {String} `code: 'E_FILTER_NOT_USABLE'`
+ */
+function compileWhere(where, schema, options)
+{
+	const matches = compilePredicate(where, schema, options);
+	return function(record)
+	{
+		return matches(record);
+	};
+}
+
+module.exports.compileWhere = compileWhere;
+
 // ////////////////////////
 // /
 // / private methods   ||
@@ -43,158 +219,74 @@ module.exports = function(data, where, schema)
 // /
 // ////////////////////////
 
-// Match a model against each criterion in a criteria query
-function matchSet(model, criteria, parentKey, schema)
+/**
+ * Validate and normalize a `where` clause, and compile it into a predicate.
+ *
+ * > Unlike the predicate returned by `compileWhere()`, this one may also be
+ * > passed a node of the trace, to explain the match (see `traceNode()`).
+ *
+ * @param  {Dictionary?} where
+ * @param  {Dictionary?} schema
+ * @param  {Dictionary?} options
+ * @return {Function}    [`(record, trace?) => Boolean`]
+ */
+function compilePredicate(where, schema, options)
 {
-	// Null or {} WHERE query always matches everything
-	if (!criteria || criteria === {})
-	{
-		return true;
-	}
-
-	// By default, treat entries as AND
-	return every(criteria, function(criterion, key)
-	{
-		return matchItem(model, key, criterion, parentKey, schema);
-	});
-}
+	schema = schema || {};
+	options = options || {};
+	validateOptions(options);
 
-function matchOr(model, disjuncts, schema)
-{
-	const outcomes = [];
-	each(disjuncts, function(criteria)
+	// (The `where` clause is only checked against the schema if asked to be--
+	// otherwise, the schema may leave out some of the attributes.)
+	if (where)
 	{
-		if (matchSet(model, criteria, undefined, schema))
-		{
-			outcomes.push(true);
-		}
-	});
+		validateWhereClause(where, options.validateSchema ? schema : undefined);
+	}
 
-	const outcome = outcomes.length > 0 ? true : false;
-	return outcome;
+	return compileClause(where, schema, options);
 }
 
-function matchAnd(model, conjuncts, schema)
+/**
+ * Override the search options in `options` with any specified in `criteria`.
+ *
+ * @param  {Dictionary} criteria  [e.g. `{ contains: 'X', caseSensitive: true }`]
+ * @param  {Dictionary} options
+ * @return {Dictionary} [a copy of `options`, with the overrides]
+ */
+function applySearchOptions(criteria, options)
 {
-	let outcome = true;
-	each(conjuncts, function(criteria)
+	const overrides = {};
+	each(SEARCH_OPTIONS, function(searchOption)
 	{
-		if (!matchSet(model, criteria, undefined, schema))
+		if (hasOwnProperty(criteria, searchOption))
 		{
-			outcome = false;
+			overrides[searchOption] = criteria[searchOption];
 		}
 	});
-	return outcome;
+	return Object.assign({}, options, overrides);
 }
 
-function matchLike(model, criteria, schema)
+/**
+ * Whether strict comparisons should be used for the attribute at `key`.
+ * (A `strict` flag in the schema takes precedence over `options.strict`.)
+ *
+ * @param  {String}     key
+ * @param  {Dictionary} schema
+ * @param  {Dictionary} options
+ * @return {Boolean}
+ */
+function isStrict(key, schema, options)
 {
-	for (const key in criteria)
+	const attrDef = schema[key] || schema[key.split('.')[0]];
+	if (attrDef && isBoolean(attrDef.strict))
 	{
-		// Return false if no match is found
-		if (!checkLike(model[key], criteria[key], schema)) {return false;}
+		return attrDef.strict;
 	}
-	return true;
-}
-
-function matchNot(model, criteria, schema)
-{
-	return !matchSet(model, criteria, undefined, schema);
+	return Boolean(options.strict);
 }
 
-function matchItem(model, key, criterion, parentKey, schema)
-{
-
-	// Handle special attr query
-	if (parentKey)
-	{
-
-		if (key === 'equals' || key === '=' || key === 'equal')
-		{
-			return matchLiteral(model, parentKey, criterion, compare['='], schema);
-		}
-		else if (key === 'not' || key === '!')
-		{
-
-			// Check for Not In
-			if (Array.isArray(criterion))
-			{
-
-				let match = false;
-				criterion.forEach(function(val)
-				{
-					if (compare['='](model[parentKey], val))
-					{
-						match = true;
-					}
-				});
-
-				return match ? false : true;
-			}
-
-			return matchLiteral(model, parentKey, criterion, compare['!'], schema);
-		}
-		else if (key === 'greaterThan' || key === '>')
-		{
-			return matchLiteral(model, parentKey, criterion, compare['>'], schema);
-		}
-		else if (key === 'greaterThanOrEqual' || key === '>=')
-		{
-			return matchLiteral(model, parentKey, criterion, compare['>='], schema);
-		}
-		else if (key === 'lessThan' || key === '<')
-		{
-			return matchLiteral(model, parentKey, criterion, compare['<'], schema);
-		}
-		else if (key === 'lessThanOrEqual' || key === '<=')
-		{
-			return matchLiteral(model, parentKey, criterion, compare['<='], schema);
-		}
-		else if (key === 'startsWith') return matchLiteral(model, parentKey, criterion, checkStartsWith, schema);
-		else if (key === 'endsWith') return matchLiteral(model, parentKey, criterion, checkEndsWith, schema);
-		else if (key === 'contains') return matchLiteral(model, parentKey, criterion, checkContains, schema);
-		else if (key === 'like') return matchLiteral(model, parentKey, criterion, checkLike, schema);
-		throw new Error('Invalid query syntax!');
-	}
-	else if (key.toLowerCase() === 'or')
-	{
-		return matchOr(model, criterion, schema);
-	}
-	else if (key.toLowerCase() === 'not')
-	{
-		return matchNot(model, criterion, schema);
-	}
-	else if (key.toLowerCase() === 'and')
-	{
-		return matchAnd(model, criterion, schema);
-	}
-	else if (key.toLowerCase() === 'like')
-	{
-		return matchLike(model, criterion, schema);
-	}
-	// IN query
-	else if (Array.isArray(criterion))
-	{
-		return some(criterion, function(val)
-		{
-			return compare['='](model[key], val);
-		});
-	}
-
-	// Special attr query
-	else if (isObject(criterion) && validSubAttrCriteria(criterion))
-	{
-		// Attribute is being checked in a specific way
-		return matchSet(model, criterion, key, schema);
-	}
-
-	// Otherwise, try a literal match
-	else {return matchLiteral(model, key, criterion, compare['='], schema);}
-
-}
-
-// Comparison fns
-var compare = {
+// Loose comparison fns
+const looseCompare = {
 
 	// Equalish
 	'=' : function(a, b)
@@ -231,7 +323,144 @@ var compare = {
 	}
 };
 
-// Prepare two values for comparison
+// Strict comparison fns
+// (values of different types are never equal, and cannot be ordered)
+const strictCompare = {
+
+	'=' : function(a, b)
+	{
+		return strictEquals(a, b);
+	},
+	'!' : function(a, b)
+	{
+		return !strictEquals(a, b);
+	},
+	'>' : function(a, b)
+	{
+		const x = normalizeStrictComparison(a, b);
+		return Boolean(x) && x[0] > x[1];
+	},
+	'>=' : function(a, b)
+	{
+		const x = normalizeStrictComparison(a, b);
+		return Boolean(x) && x[0] >= x[1];
+	},
+	'<' : function(a, b)
+	{
+		const x = normalizeStrictComparison(a, b);
+		return Boolean(x) && x[0] < x[1];
+	},
+	'<=' : function(a, b)
+	{
+		const x = normalizeStrictComparison(a, b);
+		return Boolean(x) && x[0] <= x[1];
+	}
+};
+
+// Loose comparison fns for attributes with a declared type
+// (`null` and `undefined` are only equal to each other, and cannot be ordered--
+// rather than being compared as empty strings, which would make `0` equal `null`)
+const typedCompare = {
+
+	'=' : function(a, b)
+	{
+		if (isNullish(a) || isNullish(b)) {return isNullish(a) && isNullish(b);}
+		return looseCompare['='](a, b);
+	},
+	'!' : function(a, b)
+	{
+		return !typedCompare['='](a, b);
+	},
+	'>' : function(a, b)
+	{
+		return !isNullish(a) && !isNullish(b) && looseCompare['>'](a, b);
+	},
+	'>=' : function(a, b)
+	{
+		return !isNullish(a) && !isNullish(b) && looseCompare['>='](a, b);
+	},
+	'<' : function(a, b)
+	{
+		return !isNullish(a) && !isNullish(b) && looseCompare['<'](a, b);
+	},
+	'<=' : function(a, b)
+	{
+		return !isNullish(a) && !isNullish(b) && looseCompare['<='](a, b);
+	}
+};
+
+/**
+ * The comparison fns to use for the attribute at `key`.
+ *
+ * @param  {String}     key
+ * @param  {Dictionary} schema
+ * @param  {Dictionary} options
+ * @return {Dictionary} [`strictCompare`, `typedCompare`, or `looseCompare`]
+ */
+function getComparisons(key, schema, options)
+{
+	if (isStrict(key, schema, options)) {return strictCompare;}
+	return getDeclaredType(key, schema) ? typedCompare : looseCompare;
+}
+
+/**
+ * Whether `value` is `null` or `undefined`.
+ *
+ * @param  {???} value
+ * @return {Boolean}
+ */
+function isNullish(value)
+{
+	return isUndefined(value) || value === null;
+}
+
+/**
+ * Whether two values are strictly equal.
+ * (Dates are equal if they have the same time.)
+ *
+ * @param  {???} a
+ * @param  {???} b
+ * @return {Boolean}
+ */
+function strictEquals(a, b)
+{
+	// `null` and `undefined` are only equal to each other
+	if (isNullish(a) || isNullish(b))
+	{
+		return isNullish(a) && isNullish(b);
+	}
+
+	const x = normalizeStrictComparison(a, b);
+	return Boolean(x) && x[0] === x[1];
+}
+
+/**
+ * Prepare two values for strict comparison.
+ *
+ * @param  {???} a
+ * @param  {???} b
+ * @return {Array?} [`undefined` if they are not of the same type]
+ */
+function normalizeStrictComparison(a, b)
+{
+	if (isDate(a) && isDate(b))
+	{
+		return [a.getTime(), b.getTime()];
+	}
+	if ((isNumber(a) && isNumber(b)) || (isString(a) && isString(b)) || (isBoolean(a) && isBoolean(b)))
+	{
+		return [a, b];
+	}
+	return undefined;
+}
+
+/**
+ * Prepare two values for (loose) comparison.
+ *
+ * @param  {???} a
+ * @param  {???} b
+ * @return {Array}
+ */
 function normalizeComparison(a, b)
 {
 
@@ -278,7 +507,379 @@ function normalizeComparison(a, b)
 	return [a, b];
 }
 
-// Return whether this criteria is valid as an object inside of an attribute
+/**
+ * The values that `matchFn` actually compares, once normalized (for explaining matches).
+ *
+ * @param  {Function} matchFn
+ * @param  {???}      a
+ * @param  {???}      b
+ * @return {Array}
+ */
+function normalizeOperands(matchFn, a, b)
+{
+	if (Object.values(looseCompare).includes(matchFn))
+	{
+		return normalizeComparison(a, b);
+	}
+	if (Object.values(typedCompare).includes(matchFn))
+	{
+		return isNullish(a) || isNullish(b) ? [a, b] : normalizeComparison(a, b);
+	}
+	if (Object.values(strictCompare).includes(matchFn))
+	{
+		return normalizeStrictComparison(a, b) || [a, b];
+	}
+	return [a, b];
+}
+
+/**
+ * Check the query-wide options which affect how values are matched.
+ *
+ * @param  {Dictionary} options
+ *
+ * @throws {Error} If `options.flags` or `options.escape` is not recognized.
+ */
+function validateOptions(options)
+{
+	if (!isUndefined(options.flags) && (!isString(options.flags) || !options.flags.match(X_SEARCH_FLAGS)))
+	{
+		throw new Error(`Unrecognized \`flags\`: \`${util.inspect(options.flags, {depth: null})}\`  (Expected a string containing \`'u'\` and/or \`'s'\`.)`);
+	}
+	if (!isUndefined(options.escape) && (!isString(options.escape) || options.escape.length !== 1))
+	{
+		throw new Error(`Unrecognized \`escape\`: \`${util.inspect(options.escape, {depth: null})}\`  (Expected a single character.)`);
+	}
+}
+
+/**
+ * Normalize a `where` clause, and compile it into a predicate.
+ * (Everything that doesn't depend on the record is done up front.)
+ *
+ * @param  {Dictionary?} where
+ * @param  {Dictionary}  schema
+ * @param  {Dictionary}  options
+ * @return {Function}    [`(record, trace?) => Boolean`]
+ */
+function compileClause(where, schema, options)
+{
+	return compileConjunct(normalizeWhereClause(where, schema), schema, options);
+}
+
+/**
+ * Compile one conjunct of a normalized `where` clause into a predicate.
+ * (See `../private/normalize-where-clause.js` for the possible shapes.)
+ *
+ * > When explaining, each conjunct gets its own node in the trace.
+ *
+ * @param  {Dictionary} conjunct  [e.g. `{ or: [...] }`, `{ name: 'Finn' }`, or `{ age: { '>': 18 } }`]
+ * @param  {Dictionary} schema
+ * @param  {Dictionary} options
+ * @return {Function}   [`(record, trace?) => Boolean`]
+ */
+function compileConjunct(conjunct, schema, options)
+{
+	const key = Object.keys(conjunct)[0];
+	const criterion = conjunct[key];
+
+	if (key === 'and' || key === 'or')
+	{
+		const predicates = criterion.map(function(branch)
+		{
+			return compileConjunct(branch, schema, options);
+		});
+		const isOr = key === 'or';
+		return function(record, trace)
+		{
+			const node = traceNode(trace, {predicate: key});
+			for (let i = 0; i < predicates.length; i++)
+			{
+				if (predicates[i](record, node) === isOr) {return traceOutcome(node, isOr);}
+			}
+			return traceOutcome(node, !isOr);
+		};
+	}
+	else if (key === 'not')
+	{
+		const predicate = compileConjunct(criterion, schema, options);
+		return function(record, trace)
+		{
+			const node = traceNode(trace, {predicate: 'not'});
+			return traceOutcome(node, !predicate(record, node));
+		};
+	}
+
+	// e.g. `{ age: { '>': 18 } }`, or `{ name: 'Finn' }` (i.e. `{ name: { '=': 'Finn' } }`)
+	const modifiers = isObject(criterion) && !isDate(criterion) && !isRegExp(criterion) ? criterion : {'=': criterion};
+	const modifier = Object.keys(modifiers).find(function(modifierKey)
+	{
+		return !SEARCH_OPTIONS.includes(modifierKey);
+	});
+	const predicate = compileModifier(key, modifier, modifiers, schema, options);
+	return function(record, trace)
+	{
+		const node = traceNode(trace, {
+			predicate : modifier,
+			path      : key
+		});
+		return traceOutcome(node, predicate(record, node));
+	};
+}
+
+/**
+ * Compile a single sub-attribute modifier (plus any search options alongside it).
+ *
+ * @param  {String}     key        [the attribute name or path]
+ * @param  {String}     modifier   [the canonical name of the modifier-- e.g. `'>'`]
+ * @param  {Dictionary} modifiers  [e.g. `{ '>': 18 }` or `{ contains: 'X', caseSensitive: true }`]
+ * @param  {Dictionary} schema
+ * @param  {Dictionary} options
+ * @return {Function}   [`(record, node?) => Boolean`]
+ */
+function compileModifier(key, modifier, modifiers, schema, options)
+{
+	options = applySearchOptions(modifiers, options);
+
+	const criterion = modifiers[modifier];
+	const compare = getComparisons(key, schema, options);
+
+	if (modifier === '=') {return compileLiteral(key, criterion, compare['='], schema, options);}
+	else if (modifier === '!=') {return compileLiteral(key, criterion, compare['!'], schema, options);}
+	else if (modifier === '>' || modifier === '>=' || modifier === '<' || modifier === '<=')
+	{
+		return compileLiteral(key, criterion, compare[modifier], schema, options);
+	}
+	else if (modifier === 'startsWith') return compileLiteral(key, criterion, checkStartsWith, schema, options);
+	else if (modifier === 'endsWith') return compileLiteral(key, criterion, checkEndsWith, schema, options);
+	else if (modifier === 'contains') return compileLiteral(key, criterion, checkContains, schema, options);
+	else if (modifier === 'like') return compileLiteral(key, criterion, checkLike, schema, options);
+	else if (modifier === 'regex') return compileLiteral(key, criterion, checkRegex, schema, options);
+	else if (modifier === 'in') return compileIn(key, criterion, false, compare, schema);
+	else if (modifier === 'nin') return compileIn(key, criterion, true, compare, schema);
+	else if (modifier === 'has') return compileArray(key, criterion, checkHas, compare, options);
+	else if (modifier === 'hasAll') return compileArray(key, criterion, checkHasAll, compare, options);
+	else if (modifier === 'hasAny') return compileArray(key, criterion, checkHasAny, compare, options);
+	else if (modifier === 'size')
+	{
+		// e.g. `3` or `{ '>': 2 }`
+		const matchesSize = compileClause({size: criterion}, {}, options);
+		return compileArray(key, criterion, function(items)
+		{
+			return matchesSize({size: items.length});
+		}, compare, options);
+	}
+	else if (modifier === 'elemMatch')
+	{
+		// If the criteria consists of sub-attribute modifiers (e.g. `{ '>': 90 }`),
+		// check each item itself.  Otherwise (e.g. `{ species: 'dog' }`), treat each
+		// item as a record to match against.
+		const wrapItems = validSubAttrCriteria(criterion);
+		const matchesItem = compileClause(wrapItems ? {item: criterion} : criterion, {}, options);
+		return compileArray(key, criterion, function(items)
+		{
+			return items.some(function(item)
+			{
+				return matchesItem(wrapItems ? {item: item} : item);
+			});
+		}, compare, options);
+	}
+	throw new Error('Invalid query syntax!');
+}
+
+/**
+ * Compile a comparison or string search against the value at `key`.
+ *
+ * @param  {String}     key
+ * @param  {???}        criterion
+ * @param  {Function}   matchFn    [the function that will be run to check for a match between the two values]
+ * @param  {Dictionary} schema
+ * @param  {Dictionary} options
+ * @return {Function}   [`(record, node?) => Boolean`]
+ */
+function compileLiteral(key, criterion, matchFn, schema, options)
+{
+	if (isUndefined(criterion))
+	{
+		return function() {return false;};
+	}
+
+	const type = getDeclaredType(key, schema);
+	if (!STRING_SEARCH_FNS.includes(matchFn))
+	{
+		criterion = coerceCriterion(criterion, key, schema);
+	}
+	const matches = compileMatch(matchFn, criterion, options);
+
+	// If the value turns out to be a parsable finite number too, both are cast.
+	// (unless a type was declared, or using strict comparisons)
+	const matchesNumber = !isStrict(key, schema, options) && isNumbery(criterion) ?
+		compileMatch(matchFn, Number(criterion), options) :
+		undefined;
+
+	return function(record, node)
+	{
+		const resolved = resolvePath(record, key);
+		const coerced = coerceToDeclaredType(resolved.value, type);
+		const isNumeric = !coerced && Boolean(matchesNumber) && isNumbery(resolved.value);
+
+		let value = resolved.value;
+		if (coerced && coerced.coercible) {value = coerced.value;}
+		else if (isNumeric) {value = Number(value);}
+
+		// (when explaining, record the values as they are actually compared)
+		if (node)
+		{
+			const operands = normalizeOperands(matchFn, value, isNumeric ? Number(criterion) : criterion);
+			traceOperands(node, operands[0], operands[1]);
+		}
+
+		if (!resolved.found) {return false;}
+		return isNumeric ? matchesNumber(value) : matches(value);
+	};
+}
+
+/**
+ * Compile a function which checks a value against `criterion` using `matchFn`.
+ * (String search patterns are compiled into a RegExp up front.)
+ *
+ * @param  {Function}   matchFn
+ * @param  {???}        criterion
+ * @param  {Dictionary} options
+ * @return {Function}   [`(value) => Boolean`]
+ */
+function compileMatch(matchFn, criterion, options)
+{
+	if (STRING_SEARCH_FNS.includes(matchFn))
+	{
+		const regExp = searchRegExp(matchFn, criterion, options);
+		return function(value)
+		{
+			return testSearch(value, regExp);
+		};
+	}
+
+	return function(value)
+	{
+		return matchFn(value, criterion, options);
+	};
+}
+
+/**
+ * Compile an `in` (or with `negate`, a `nin`) modifier.
+ *
+ * @param  {String}     key
+ * @param  {Array}      values
+ * @param  {Boolean}    negate
+ * @param  {Dictionary} compare  [see `getComparisons()`]
+ * @param  {Dictionary} schema
+ * @return {Function}   [`(record, node?) => Boolean`]
+ *
+ * @throws {Error} If `values` is not an array.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ */
+function compileIn(key, values, negate, compare, schema)
+{
+	if (!Array.isArray(values))
+	{
+		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`Expected \`${negate ? 'nin' : 'in'}\` for \`${key}\` to be an array, but got: \`${util.inspect(values, {depth: null})}\``));
+	}
+
+	// When comparing strictly, primitives can simply be looked up.
+	// (`NaN` is never strictly equal to anything, so it is left out.)
+	const isLookupable = compare === strictCompare && values.every(function(value)
+	{
+		return isString(value) || isBoolean(value) || (isNumber(value) && !isNaN(value));
+	});
+	const lookup = isLookupable ? new Set(values) : undefined;
+
+	return function(record, node)
+	{
+		const value = coerceValue(resolvePath(record, key).value, key, schema);
+		traceOperands(node, value, values);
+		const found = lookup ? lookup.has(value) : checkIn(value, values, compare);
+		return found !== negate;
+	};
+}
+
+/**
+ * Compile an array membership modifier.
+ *
+ * @param  {String}     key
+ * @param  {???}        criterion
+ * @param  {Function}   matchFn    [the function that will be run to check the array at `key` against `criterion`]
+ * @param  {Dictionary} compare    [see `getComparisons()`]
+ * @param  {Dictionary} options
+ * @return {Function}   [`(record, node?) => Boolean`]
+ */
+function compileArray(key, criterion, matchFn, compare, options)
+{
+	if (isUndefined(criterion))
+	{
+		return function() {return false;};
+	}
+
+	return function(record, node)
+	{
+		const items = resolvePath(record, key).value;
+		traceOperands(node, items, criterion);
+
+		// Only arrays can match array membership modifiers.
+		if (!Array.isArray(items)) {return false;}
+
+		return matchFn(items, criterion, compare, options);
+	};
+}
+
+/**
+ * Add a new node to the trace (when explaining).
+ *
+ * @param  {Dictionary?} trace  [the parent node, if explaining]
+ * @param  {Dictionary}  node   [e.g. `{ predicate: '>', path: 'age' }`]
+ * @return {Dictionary?} [the new node, if explaining]
+ */
+function traceNode(trace, node)
+{
+	if (!trace) {return undefined;}
+
+	trace.children = trace.children || [];
+	trace.children.push(node);
+	return node;
+}
+
+/**
+ * Record the outcome of a node in the trace (when explaining).
+ *
+ * @param  {Dictionary?} node
+ * @param  {Boolean}     outcome
+ * @return {Boolean}     [the outcome]
+ */
+function traceOutcome(node, outcome)
+{
+	if (node) {node.outcome = outcome;}
+	return outcome;
+}
+
+/**
+ * Record the values that were compared for a node in the trace (when explaining).
+ *
+ * @param  {Dictionary?} node
+ * @param  {???}         left   [the stored value]
+ * @param  {???}         right  [the criterion]
+ */
+function traceOperands(node, left, right)
+{
+	if (node)
+	{
+		node.left = left;
+		node.right = right;
+	}
+}
+
+/**
+ * Return whether this criteria is valid as an object inside of an attribute.
+ *
+ * @param  {???} c
+ * @return {Boolean}
+ */
 function validSubAttrCriteria(c)
 {
 
@@ -286,8 +887,9 @@ function validSubAttrCriteria(c)
 
 	let valid = false;
 	const validAttributes = [
-		'equals', 'not', 'greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual',
-		'<', '<=', '!', '>', '>=', 'startsWith', 'endsWith', 'contains', 'like'];
+		'equals', 'equal', '=', 'not', '!=', 'greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual',
+		'<', '<=', '!', '>', '>=', 'in', 'nin', 'startsWith', 'endsWith', 'contains', 'like', 'regex',
+		'has', 'hasAll', 'hasAny', 'size', 'elemMatch'];
 
 	each(validAttributes, function(attr)
 	{
@@ -300,94 +902,231 @@ function validSubAttrCriteria(c)
 	return valid;
 }
 
-// Returns whether this value can be successfully parsed as a finite number
+/**
+ * Returns whether this value can be successfully parsed as a finite number.
+ * (`true` and `false` count as `1` and `0`.)
+ *
+ * @param  {???} value
+ * @return {Boolean}
+ */
 function isNumbery(value)
 {
-	if (isDate(value)) {return false;}
-	return Math.pow(Number(value), 2) > 0;
+	if (isNumber(value)) {return isFinite(value);}
+	if (isBoolean(value)) {return true;}
+	if (isString(value)) {return value.trim() !== '' && isFinite(Number(value));}
+	return false;
 }
 
-// matchFn => the function that will be run to check for a match between the two literals
-function matchLiteral(model, key, criterion, matchFn, schema)
+/**
+ * The type declared for the attribute at `key` in the schema (if any).
+ *
+ * @param  {String}     key
+ * @param  {Dictionary} schema
+ * @return {String?}
+ */
+function getDeclaredType(key, schema)
 {
-	let val = cloneDeep(model[key]);
+	return schema && schema[key] ? schema[key].type : undefined;
+}
 
-	if (schema && schema[key] && schema[key].type)
-	{
-		const schemaType = schema[key].type;
+/**
+ * Coerce a value stored at `key` to the type declared in the schema, if possible.
+ * (Otherwise it is left as-is, and will simply fail to match.)
+ *
+ * @param  {???}        value
+ * @param  {String}     key
+ * @param  {Dictionary} schema
+ * @return {???}
+ */
+function coerceValue(value, key, schema)
+{
+	const coerced = coerceToDeclaredType(value, getDeclaredType(key, schema));
+	return coerced && coerced.coercible ? coerced.value : value;
+}
 
-		// If the value in the schema is a Date, parse it into an ISO Date sting
-		// so that it can be compared.
-		if (schemaType === 'date')
-		{
-			val = new Date(val).toISOString();
-			criterion = new Date(criterion).toISOString();
-		}
-	}
+/**
+ * Whether `value` is equal(ish) to any of `values`.
+ *
+ * @param  {???}        value
+ * @param  {Array}      values
+ * @param  {Dictionary} compare  [see `getComparisons()`]
+ * @return {Boolean}
+ */
+function checkIn(value, values, compare)
+{
+	return some(values, function(val)
+	{
+		return compare['='](value, val);
+	});
+}
 
-	// If the criterion are both parsable finite numbers, cast them
-	if (isNumbery(criterion) && isNumbery(val))
+/**
+ * Whether `items` includes something equal(ish) to `value`.
+ *
+ * @param  {Array}      items
+ * @param  {???}        value
+ * @param  {Dictionary} compare
+ * @return {Boolean}
+ */
+function checkHas(items, value, compare)
+{
+	return some(items, function(item)
 	{
-		criterion = Number(criterion);
-		val = Number(val);
-	}
+		return compare['='](item, value);
+	});
+}
 
-	// ensure the key attr exists in model
-	if (!model.hasOwnProperty(key)) {return false;}
-	if (isUndefined(criterion)) {return false;}
+/**
+ * Whether `items` includes something equal(ish) to each of `values`.
+ *
+ * @param  {Array}      items
+ * @param  {Array}      values
+ * @param  {Dictionary} compare
+ * @return {Boolean}
+ */
+function checkHasAll(items, values, compare)
+{
+	return every(values, function(value)
+	{
+		return checkHas(items, value, compare);
+	});
+}
 
-	// ensure the key attr matches model attr in model
-	if ((!matchFn(val, criterion)))
+/**
+ * Whether `items` includes something equal(ish) to any of `values`.
+ *
+ * @param  {Array}      items
+ * @param  {Array}      values
+ * @param  {Dictionary} compare
+ * @return {Boolean}
+ */
+function checkHasAny(items, values, compare)
+{
+	return some(values, function(value)
 	{
-		return false;
-	}
+		return checkHas(items, value, compare);
+	});
+}
+// The match functions which search strings (rather than comparing values)
+const STRING_SEARCH_FNS = [checkStartsWith, checkEndsWith, checkContains, checkLike, checkRegex];
 
-	// Otherwise this is a match
-	return true;
+/**
+ * Whether `value` starts with `matchString` (literally).
+ *
+ * @param  {???}        value
+ * @param  {String}     matchString
+ * @param  {Dictionary} options      [search options (`caseSensitive` and `flags`)]
+ * @return {Boolean}
+ */
+function checkStartsWith(value, matchString, options)
+{
+	return testSearch(value, searchRegExp(checkStartsWith, matchString, options));
 }
 
-function checkStartsWith(value, matchString)
+/**
+ * Whether `value` ends with `matchString` (literally).
+ *
+ * @param  {???}        value
+ * @param  {String}     matchString
+ * @param  {Dictionary} options      [search options (`caseSensitive` and `flags`)]
+ * @return {Boolean}
+ */
+function checkEndsWith(value, matchString, options)
 {
-	// console.log('CheCKING startsWith ', value, 'against matchString:', matchString, 'result:',sqlLikeMatch(value, matchString));
-	return sqlLikeMatch(value, `${matchString}%`);
+	return testSearch(value, searchRegExp(checkEndsWith, matchString, options));
 }
-function checkEndsWith(value, matchString)
+
+/**
+ * Whether `value` contains `matchString` (literally).
+ *
+ * @param  {???}        value
+ * @param  {String}     matchString
+ * @param  {Dictionary} options      [search options (`caseSensitive` and `flags`)]
+ * @return {Boolean}
+ */
+function checkContains(value, matchString, options)
 {
-	return sqlLikeMatch(value, `%${matchString}`);
+	return testSearch(value, searchRegExp(checkContains, matchString, options));
 }
-function checkContains(value, matchString)
+
+/**
+ * Whether `value` matches the `like` pattern in `matchString`.
+ *
+ * @param  {???}        value
+ * @param  {String}     matchString
+ * @param  {Dictionary} options      [search options (`caseSensitive`, `flags`, and `escape`)]
+ * @return {Boolean}
+ */
+function checkLike(value, matchString, options)
 {
-	return sqlLikeMatch(value, `%${matchString}%`);
+	return testSearch(value, searchRegExp(checkLike, matchString, options));
 }
-function checkLike(value, matchString)
+
+/**
+ * Whether `value` matches `regex`.
+ *
+ * @param  {???}                 value
+ * @param  {RegExp | Dictionary} regex    [e.g. `/^ab+c$/i` or `{ pattern: '^ab+c$', flags: 'i' }`]
+ * @param  {Dictionary}          options
+ * @return {Boolean}
+ */
+function checkRegex(value, regex, options)
 {
-	// console.log('CheCKING  ', value, 'against matchString:', matchString, 'result:',sqlLikeMatch(value, matchString));
-	return sqlLikeMatch(value, matchString);
+	return testSearch(value, searchRegExp(checkRegex, regex, options));
 }
 
-function sqlLikeMatch(value, matchString)
+/**
+ * The RegExp that the string search function `matchFn` uses to search for `matchString`.
+ *
+ * @param  {Function}   matchFn      [e.g. `checkContains`]
+ * @param  {???}        matchString
+ * @param  {Dictionary} options
+ * @return {RegExp}
+ */
+function searchRegExp(matchFn, matchString, options)
 {
+	if (matchFn === checkStartsWith) {return likeRegExp(`${escapeLikeWildcards(matchString)}%`, DEFAULT_LIKE_ESCAPE, options);}
+	if (matchFn === checkEndsWith) {return likeRegExp(`%${escapeLikeWildcards(matchString)}`, DEFAULT_LIKE_ESCAPE, options);}
+	if (matchFn === checkContains) {return likeRegExp(`%${escapeLikeWildcards(matchString)}%`, DEFAULT_LIKE_ESCAPE, options);}
+	if (matchFn === checkLike) {return likeRegExp(matchString, options.escape || DEFAULT_LIKE_ESCAPE, options);}
 
-	if (isRegExp(matchString))
+	// e.g. `/^ab+c$/i` or `{ pattern: '^ab+c$', flags: 'i' }`
+	// (A RegExp with the `g` or `y` flag would remember where its last match
+	// was, so it is recompiled without them.)
+	if (!isRegExp(matchString))
 	{
-		// awesome
+		matchString = compileRegex(matchString.pattern, matchString.flags || '');
 	}
-	else if (isString(matchString))
+	else if (matchString.global || matchString.sticky)
 	{
-		// Handle escaped percent (%) signs
-		matchString = matchString.replace(/%%%/g, '%');
-
-		// Escape for regex
-		matchString = escapeRegExp(matchString);
+		matchString = compileRegex(matchString.source, matchString.flags);
+	}
+	return likeRegExp(matchString, undefined, options);
+}
 
-		// Replace SQL % match notation with something the ECMA regex parser can handle
-		matchString = matchString.replace(/([^%]*)%([^%]*)/g, '$1.*$2');
+/**
+ * Compile `matchString` into a RegExp (unless it already is one).
+ *
+ * @param  {???}        matchString
+ * @param  {String?}    escapeChar   [the character which makes the next character in `matchString` literal]
+ * @param  {Dictionary} options      [search options (`caseSensitive` and `flags`)]
+ * @return {RegExp}
+ *
+ * @throws {Error} If `matchString` is not a RegExp, string, number, or boolean.
+ */
+function likeRegExp(matchString, escapeChar, options)
+{
 
-		// Case insensitive by default
-		// TODO: make this overridable
-		const modifiers = 'i';
+	if (isRegExp(matchString))
+	{
+		// awesome
+	}
+	else if (isString(matchString) || isNumber(matchString) || isBoolean(matchString))
+	{
+		// Case insensitive by default, plus any extra flags (e.g. `u`)
+		const modifiers = (options.caseSensitive ? '' : 'i') + (options.flags || '');
 
-		matchString = new RegExp(`^${matchString}$`, modifiers);
+		matchString = compileLikePattern(`${matchString}`, escapeChar, modifiers);
 	}
 	// Unexpected match string!
 	else
@@ -397,6 +1136,18 @@ function sqlLikeMatch(value, matchString)
 		throw new Error(`Unexpected match string: ${matchString} Please use a regexp or string.`);
 	}
 
+	return matchString;
+}
+
+/**
+ * Whether `value` matches the RegExp for a string search.
+ *
+ * @param  {???}    value
+ * @param  {RegExp} regExp
+ * @return {Boolean}
+ */
+function testSearch(value, regExp)
+{
 	// Deal with non-strings
 	if (isNumber(value)) {value = `${value}`;}
 	else if (isBoolean(value)) {value = value ? 'true' : 'false';}
@@ -404,22 +1155,122 @@ function sqlLikeMatch(value, matchString)
 	{
 		// Ignore dictionaries, arrays, null, and undefined data for now
 		// (and maybe forever)
+		// > To filter on the contents of arrays, use an array membership
+		// > modifier like `has` or `elemMatch` instead.
 		return false;
 	}
 
 	// Check that criterion attribute and is at least similar to the model's value for that attr
-	if (!value.match(matchString))
+	if (!value.match(regExp))
 	{
 		return false;
 	}
 	return true;
 }
 
+/**
+ * Convert a SQL `like` pattern into a RegExp.
+ * (`%` => any number of characters, `_` => exactly one character)
+ *
+ * @param  {String} pattern
+ * @param  {String} escapeChar
+ * @param  {String} modifiers   [the RegExp flags-- e.g. `'iu'`]
+ * @return {RegExp}
+ */
+function compileLikePattern(pattern, escapeChar, modifiers)
+{
+	const cacheKey = `like\u0000${modifiers}\u0000${escapeChar}\u0000${pattern}`;
+	if (REGEXP_CACHE.has(cacheKey))
+	{
+		return REGEXP_CACHE.get(cacheKey);
+	}
+
+	// (Iterate by code point, so that `_` matches a whole astral character with the `u` flag.)
+	const characters = Array.from(pattern);
+	let source = '';
+	for (let i = 0; i < characters.length; i++)
+	{
+		const character = characters[i];
+
+		// An escaped character always matches literally.
+		// (A trailing escape character matches itself, like in MySQL.)
+		if (character === escapeChar && i < characters.length - 1)
+		{
+			i++;
+			source += escapeRegExp(characters[i]);
+		}
+		// (Like in SQL, wildcards match line breaks too.)
+		else if (character === '%') {source += '[\\s\\S]*';}
+		else if (character === '_') {source += '[\\s\\S]';}
+		else {source += escapeRegExp(character);}
+	}
+
+	return cacheRegExp(cacheKey, new RegExp(`^${source}$`, modifiers));
+}
+
+/**
+ * Compile the pattern from a `regex` modifier into a RegExp.
+ * (Leaving out the `g` and `y` flags, so that it is stateless-- and safe to cache.)
+ *
+ * @param  {String} pattern
+ * @param  {String} flags
+ * @return {RegExp}
+ */
+function compileRegex(pattern, flags)
+{
+	flags = flags.replace(/[gy]/g, '');
+	const cacheKey = `regex\u0000${flags}\u0000${pattern}`;
+	if (REGEXP_CACHE.has(cacheKey))
+	{
+		return REGEXP_CACHE.get(cacheKey);
+	}
+	return cacheRegExp(cacheKey, new RegExp(pattern, flags));
+}
+
+/**
+ * Add a compiled RegExp to the cache.
+ *
+ * @param  {String} cacheKey
+ * @param  {RegExp} regExp
+ * @return {RegExp} [`regExp`]
+ */
+function cacheRegExp(cacheKey, regExp)
+{
+	if (REGEXP_CACHE.size >= REGEXP_CACHE_SIZE)
+	{
+		REGEXP_CACHE.clear();
+	}
+	REGEXP_CACHE.set(cacheKey, regExp);
+	return regExp;
+}
+
+/**
+ * Escape `%`, `_`, and backslashes in `str`, so that it matches literally
+ * within a `like` pattern (using the default escape character).
+ *
+ * @param  {???}    str
+ * @return {String}
+ */
+function escapeLikeWildcards(str)
+{
+	return `${str}`.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Escape the characters in `str` which are special in a RegExp.
+ *
+ * @param  {String} str
+ * @return {String}
+ */
 function escapeRegExp(str)
 {
-	return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+	// (`-` is not escaped, since it is only special within a character class--
+	// and escaping it is a syntax error when using the `u` flag.)
+	return str.replace(/[[\]/{}()*+?.\\^$|]/g, '\\$&');
 }
 
+const hop = Object.prototype.hasOwnProperty;
+
 /**
  * Safer helper for hasOwnProperty checks
  *
@@ -427,8 +1278,6 @@ function escapeRegExp(str)
  * @param {String} prop
  * @return {Boolean}
  */
-
-const hop = Object.prototype.hasOwnProperty;
 function hasOwnProperty(obj, prop)
 {
 	return hop.call(obj, prop);
@@ -2,18 +2,34 @@
  * Module dependencies
  */
 
+const util = require('util');
+const flaverr = require('flaverr');
 const each = require('lodash.foreach');
+const isUndefined = require('lodash.isundefined');
 const cloneDeep = require('lodash.clonedeep');
-const pluck = require('lodash.pluck');
+const filter = require('lodash.filter');
 
 const _where = require('./filters/where');
 const _limit = require('./filters/limit');
 const _skip = require('./filters/skip');
 const _select = require('./projections/select');
+const _join = require('./join');
 const _sort = require('./sort');
+const _sum = require('./aggregations/sum');
+const _average = require('./aggregations/average');
+const _min = require('./aggregations/min');
+const _max = require('./aggregations/max');
+const _count = require('./aggregations/count');
+const _groupBy = require('./aggregations/group-by');
 
 const validateWhereClause = require('./validators/validate-where-clause');
 const validateSortClause = require('./validators/validate-sort-clause');
+const validateCriteria = require('./validators/validate-criteria');
+const normalizeCriteria = require('./private/normalize-criteria');
+const describeSortVector = require('./private/describe-sort-vector');
+const encodeCursor = require('./private/encode-cursor');
+const decodeCursor = require('./private/decode-cursor');
+const compileWhere = require('./filters/where').compileWhere;
 
 //  ███████╗██╗  ██╗██████╗  ██████╗ ██████╗ ████████╗
 //  ██╔════╝╚██╗██╔╝██╔══██╗██╔═══██╗██╔══██╗╚══██╔══╝
@@ -48,18 +64,58 @@ const validateSortClause = require('./validators/validate-sort-clause');
  *
  * @param  { Dictionary[] }           data
  * @param  { Dictionary }             criteria         [the Waterline criteria Dictionary- complete w/ `where`, `limit`, `sort, `skip`, and `joins`]
+ *                                                     (`joins` can only be resolved when `data` is a dictionary of tuples keyed by classifier)
+ *                                                     (any shorthand understood by `normalizeCriteria()` may be used-- e.g. `{ name: 'Finn', limit: 1 }`)
+ * @param  { Dictionary? }            schema           [attribute definitions, keyed by attribute name-- e.g. `{ age: { type: 'number' } }`]
+ *                                                     (used to coerce values when filtering and sorting)
+ * @param  { Dictionary? }            options
+ *         @property { String | Dictionary? } collation  [how to compare strings when sorting-- see `./sort.js`]
+ *         @property { String | Boolean? }   tiebreaker [an attribute to break ties with when sorting, or `true` for the primary key-- see `./sort.js`]
+ *         @property { Boolean? }            strict     [whether the `where` clause should use type- and case-sensitive comparisons-- see `./filters/where.js`]
+ *         @property { Boolean? }            caseSensitive  [whether string search modifiers like `contains` should be case-sensitive]
+ *         @property { String? }             flags      [extra regular expression flags for string search modifiers-- `'u'` and/or `'s'`]
+ *         @property { String? }             escape     [the escape character for `like` patterns (defaults to a backslash)]
+ *         @property { Boolean? }            validateSchema  [whether the `where` and `sort` clauses may only refer to attributes declared in `schema`]
+ *         @property { Boolean | Number? }   explain    [`true` to explain why each tuple was or wasn't returned, or the index of a particular tuple in `data`]
+ *         @property { Boolean? }            noCopy     [if true, the results are not deep-cloned from `data`-- so nested dictionaries and arrays are shared with it]
+ *         @property { String? }             cursor     [a `nextCursor` or `prevCursor` from an earlier query, to get that page of results]
+ *         @property { Array? }              after      [the values of the sort keys (ending with the tiebreaker, or else the original index) to get the page of results after]
+ *         @property { Array? }              before     [the values of the sort keys (ending with the tiebreaker, or else the original index) to get the page of results before]
  *
- * @return { Number | Dictionary | Dictionary[] }
+ * @return { Dictionary }
+ *         @property { Dictionary[] } results    [if `criteria.groupBy` was specified, one row per group]
+ *         @property { Array }        indices    [if `criteria.groupBy` was specified, an array of indices per group]
+ *         @property { String? }      nextCursor [only present if the results are sorted, and either `criteria.limit` or a cursor was specified--
+ *                                                the cursor for the next page of results, or `null` if there isn't one]
+ *         @property { String? }      prevCursor [likewise, the cursor for the previous page of results, or `null` if there isn't one]
+ *         @property { Dictionary? }  sum        [only present if `criteria.sum` was specified without `groupBy`]
+ *         @property { Dictionary? }  average    [only present if `criteria.average` was specified without `groupBy`]
+ *         @property { Dictionary? }  min        [only present if `criteria.min` was specified without `groupBy`]
+ *         @property { Dictionary? }  max        [only present if `criteria.max` was specified without `groupBy`]
+ *         @property { Number? }      count      [only present if `criteria.count` was specified without `groupBy`]
+ *         @property { Dictionary[]? } explain   [only present if `options.explain` was specified-- one entry per explained tuple,
+ *                                                as returned by `./filters/where.js`, plus `removedBy`: the stage of the query which
+ *                                                removed the tuple from the results (`'where'`, `'cursor'`, `'skip'`, or `'limit'`), or `null`]
+ *
+ * @throws {Error} If `options.validateSchema` is set, and the `where` or `sort` clause doesn't fit `schema`.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`, `'E_MODIFIER_NOT_SUPPORTED'`, or `'E_ATTRIBUTE_NOT_SORTABLE'`
+ *
+ * @throws {Error} If a criterion in the `where` clause cannot be coerced to the type declared in `schema`.
+ *         @property {String} `code: 'E_FILTER_NOT_USABLE'`
+ *
+ * @throws {Error} If the criteria cannot be parsed.
+ *         @property {String} `code: 'E_CRITERIA_UNPARSEABLE'`, `'E_WHERE_CLAUSE_UNPARSEABLE'`, or `'E_SORT_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If `options.cursor` cannot be parsed.
+ *         @property {String} `code: 'E_CURSOR_UNPARSEABLE'`
+ *
+ * @throws {Error} If `options.cursor` (or `after` or `before`) doesn't fit the keys being sorted by.
+ *         @property {String} `code: 'E_CURSOR_MISMATCH'`
  */
 
-module.exports = function query(/* classifier|tuples, data|criteria [, criteria] */)
+module.exports = function query(/* classifier|tuples, data|criteria [, criteria [, schema [, options]]] */)
 {
 
-	// Embed an `INDEX_IN_ORIG_DATA` for each tuple to remember its original index
-	// within `data`.  At the end, we'll lookup the `INDEX_IN_ORIG_DATA` for each tuple
-	// and expose it as part of our results.
-	const INDEX_IN_ORIG_DATA = '.(ørigindex)';
-
 	let tuples, classifier, data, criteria, schema;
 
 	// If no classifier is provided, and data was specified as an array
@@ -71,7 +127,6 @@ module.exports = function query(/* classifier|tuples, data|criteria [, criteria]
 	}
 	// If all three arguments were supplied:
 	// get tuples of type `classifier` (i.e. SELECT * FROM __________)
-	// and clone 'em.
 	else
 	{
 		classifier = arguments[0];
@@ -86,42 +141,403 @@ module.exports = function query(/* classifier|tuples, data|criteria [, criteria]
 		schema = arguments[3];
 	}
 
-	// Clone tuples to avoid dirtying things up
-	tuples = cloneDeep(tuples);
+	// If query options were passed in, they will be the 5th argument
+	const options = arguments[4] || {};
+
+	// Normalize the criteria, so that everything below only has to deal with
+	// one shape.  (See `./private/normalize-criteria.js`.)
+	criteria = normalizeCriteria(criteria, schema);
+
+	// If asked to, check that the `sort` clause only refers to declared attributes.
+	// (The `where` clause is checked when it is compiled.)
+	if (options.validateSchema)
+	{
+		validateSortClause(criteria.sort, schema || {});
+	}
+
+	const whereOptions = {
+		strict         : options.strict,
+		caseSensitive  : options.caseSensitive,
+		flags          : options.flags,
+		escape         : options.escape,
+		validateSchema : options.validateSchema
+	};
+
+	// If paging from a cursor (or from the values given as `after` or `before`),
+	// work out which tuple to page from.  Each cursor records everything which
+	// the tuples are sorted by-- down to the tiebreaker, or their original position,
+	// so that no two tuples tie-- so that it can't be used to page through results
+	// which are sorted differently.
+	const sortVector = _sort.resolveSortVector(criteria.sort, schema, {tiebreaker: options.tiebreaker});
+	const boundary = findBoundary(options, sortVector);
+	const isPaged = criteria.limit < Number.MAX_SAFE_INTEGER;
+	const isBackwards = Boolean(boundary && boundary.before);
+
+	// If explaining, trace why each tuple did or didn't match.  Further down, we'll
+	// keep track of which tuples survive each stage, so that we can report which
+	// stage removed them.  (`sort` and `select` never remove tuples, so only `where`,
+	// the cursor, `skip`, and `limit` need checking-- although with a `limit`, the tuples
+	// beyond the end of the page are already left out while sorting.)
+	let explanations;
+	if (!isUndefined(options.explain) && options.explain !== false)
+	{
+		explanations = _where(tuples, criteria.where, schema, Object.assign({explain: options.explain}, whereOptions)).explain;
+		each(explanations, function(explanation)
+		{
+			explanation.removedBy = explanation.matched ? null : 'where';
+		});
+	}
 
-	// Embed `INDEX_IN_ORIG_DATA` in each tuple
-	each(tuples, function(tuple, i)
+	// Query and return result set using criteria.
+	// The tuples in `data` are never modified (or copied, until we know which ones
+	// will be returned)-- instead, `indices` keeps track of the original index of
+	// each remaining tuple within `data`, alongside `tuples`.
+	const matches = compileWhere(criteria.where, schema, whereOptions);
+	let indices = [];
+	tuples = filter(tuples, function(tuple, i)
 	{
-		tuple[INDEX_IN_ORIG_DATA] = i;
+		if (!matches(tuple))
+		{
+			return false;
+		}
+		indices.push(i);
+		return true;
 	});
 
-	// Ensure criteria object exists
-	criteria = criteria || {};
+	// Run any aggregations against the complete set of matching tuples
+	// (i.e. before `sort`, `skip`, and `limit` are applied).
+	const aggregations = {};
+	if (criteria.groupBy)
+	{
+		// If this is a "group by" query, then partition the tuples into
+		// groups, and replace them with one row per group.  From here on,
+		// these rows are sorted, skipped, limited, and projected just like
+		// normal tuples would be.  (Each row's entry in `indices` is the
+		// array of original indices of the tuples in its group.)
+		const grouped = _groupBy(tuples, criteria.groupBy, criteria, indices);
+		tuples = grouped.rows;
+		indices = grouped.indices;
+	}
+	else
+	{
+		if (criteria.sum)
+		{
+			aggregations.sum = _sum(tuples, criteria.sum);
+		}
+		if (criteria.average)
+		{
+			aggregations.average = _average(tuples, criteria.average);
+		}
+		if (criteria.min)
+		{
+			aggregations.min = _min(tuples, criteria.min);
+		}
+		if (criteria.max)
+		{
+			aggregations.max = _max(tuples, criteria.max);
+		}
+		if (criteria.count)
+		{
+			aggregations.count = _count(tuples);
+		}
+	}
 
-	// Query and return result set using criteria
-	tuples = _where(tuples, criteria.where, schema);
-	tuples = _sort(tuples, criteria.sort);
+	// (With a tiebreaker, the tuples are sorted by it even if there is no `sort` clause.)
+	const candidates = tuples;
+	const originalPositions = indices.map(originalPosition);
+	if (sortVector.length > 0)
+	{
+		// (If there's a `limit`, only the tuples up to the end of this page need sorting--
+		// plus one more, to tell whether there is another page after it.  But if explaining
+		// which tuples the cursor removed, they all need sorting, so as not to confuse the two.)
+		const positions = _sort.sortPositions(tuples, criteria.sort, schema, {
+			collation  : options.collation,
+			tiebreaker : options.tiebreaker,
+			positions  : originalPositions,
+			after      : boundary && boundary.after,
+			before     : boundary && boundary.before,
+			limit      : isPaged && !(explanations && boundary) ? criteria.skip + criteria.limit + 1 : undefined
+		});
+		tuples = reorder(tuples, positions);
+		indices = reorder(indices, positions);
+		if (explanations)
+		{
+			explainRemovals(explanations, indices, boundary ? 'cursor' : 'limit');
+		}
+	}
+
+	// When paging backwards, `skip` and `limit` count back from the cursor instead.
+	if (isBackwards)
+	{
+		tuples.reverse();
+		indices.reverse();
+	}
 	tuples = _skip(tuples, criteria.skip);
+	indices = _skip(indices, criteria.skip);
+	if (explanations)
+	{
+		explainRemovals(explanations, indices, 'skip');
+	}
+	const isFollowedByMore = tuples.length > criteria.limit;
 	tuples = _limit(tuples, criteria.limit);
-	tuples = _select(tuples, criteria.select);
+	indices = _limit(indices, criteria.limit);
+	if (explanations)
+	{
+		explainRemovals(explanations, indices, 'limit');
+	}
+	if (isBackwards)
+	{
+		tuples.reverse();
+		indices.reverse();
+	}
 
-	// Grab the INDEX_IN_ORIG_DATA from each matched tuple
-	// this is typically used to update the tuples in the external source data.
-	const originalIndices = pluck(tuples, INDEX_IN_ORIG_DATA);
+	// If this is a page of sorted results, build cursors for the pages on either side of it
+	// (or `null`, if there aren't any more tuples that way).
+	const cursors = {};
+	if (sortVector.length > 0 && (isPaged || boundary))
+	{
+		const first = tuples[0];
+		const last = tuples[tuples.length - 1];
+		const firstValues = first && sortKeyValues(first, indices[0], sortVector);
+		const lastValues = last && sortKeyValues(last, indices[indices.length - 1], sortVector);
+		cursors.nextCursor = last && hasMore('after', lastValues) ? encodeCursor(sortVector, 'after', lastValues) : null;
+		cursors.prevCursor = first && hasMore('before', firstValues) ? encodeCursor(sortVector, 'before', firstValues) : null;
+	}
 
-	// Remove INDEX_IN_ORIG_DATA from each tuple--
-	// it is no longer needed.
-	each(tuples, function(tuple)
+	/**
+	 * Check whether there are any matching tuples after (or before) `values`.
+	 *
+	 * @param  { String }     direction  [`'after'` or `'before'`]
+	 * @param  { Array }      values     [the sort key values of the last (or first) tuple on this page]
+	 * @return { Boolean }
+	 */
+	function hasMore(direction, values)
 	{
-		delete tuple[INDEX_IN_ORIG_DATA];
-	});
+		// In the direction we paged in, we already know.
+		if (direction === (isBackwards ? 'before' : 'after'))
+		{
+			return isFollowedByMore;
+		}
+		// Otherwise, there are more if any were skipped, or if any are on the far side of the cursor.
+		if (criteria.skip > 0)
+		{
+			return true;
+		}
+		return Boolean(boundary) && _sort.sortPositions(candidates, criteria.sort, schema, {
+			collation   : options.collation,
+			tiebreaker  : options.tiebreaker,
+			positions   : originalPositions,
+			[direction] : values,
+			limit       : 1
+		}).length > 0;
+	}
 
-	return {
+	// Now that we know which tuples will be returned, copy them, so that the
+	// caller can do what they like with the results without dirtying `data`.
+	// (Unless `noCopy` was specified, in which case only the tuples which are
+	// about to be populated are copied-- and only shallowly.)
+	if (!options.noCopy)
+	{
+		tuples = cloneDeep(tuples);
+	}
+	else if (criteria.joins)
+	{
+		tuples = tuples.map(function(tuple)
+		{
+			return Object.assign({}, tuple);
+		});
+	}
+
+	// (`omit` is the same as selecting everything except for those attributes.)
+	let select = criteria.select;
+	if (criteria.omit.length > 0)
+	{
+		select = criteria.omit.reduce(function(projection, attrName)
+		{
+			projection[attrName] = false;
+			return projection;
+		}, {'*': true});
+	}
+
+	// Populate associations (only for the tuples that made the cut),
+	// and make sure the projection doesn't strip them back off again.
+	if (criteria.joins)
+	{
+		tuples = _join(tuples, criteria.joins, data, classifier);
+		select = selectAliases(select, criteria.joins, classifier);
+	}
+
+	tuples = _select(tuples, select);
+
+	const report = Object.assign({
 		results : tuples,
-		indices : originalIndices
-	};
+		indices : indices
+	}, cursors, aggregations);
+	if (explanations)
+	{
+		report.explain = explanations;
+	}
+	return report;
 };
 
+/**
+ * Mark each explained tuple which was not removed by an earlier stage,
+ * but whose index is no longer among `indices`, as having been removed by `stage`.
+ *
+ * @param  { Dictionary[] }  explanations  [as returned by `_where()` with `explain`]
+ * @param  { Array }         indices       [the original indices of the tuples remaining after `stage`]
+ * @param  { String }        stage         [e.g. `'limit'`]
+ */
+function explainRemovals(explanations, indices, stage)
+{
+	// (For "group by" queries, each row has the indices of every tuple in its group.)
+	const remaining = new Set([].concat(...indices));
+	each(explanations, function(explanation)
+	{
+		if (explanation.removedBy === null && !remaining.has(explanation.index))
+		{
+			explanation.removedBy = stage;
+		}
+	});
+}
+
+/**
+ * Figure out which tuple to page from, using `options.cursor` (or `after` or `before`).
+ *
+ * @param  { Dictionary }    options     [the query options]
+ * @param  { Dictionary[] }  sortVector  [as returned by `_sort.resolveSortVector()`]
+ * @return { Dictionary? }   [either `{ after: [...] }` or `{ before: [...] }`, with one value per sort key]
+ *
+ * @throws {Error} If `options.cursor` cannot be parsed.
+ *         @property {String} `code: 'E_CURSOR_UNPARSEABLE'`
+ *
+ * @throws {Error} If `options.cursor` (or `after` or `before`) doesn't fit `sortVector`.
+ *         @property {String} `code: 'E_CURSOR_MISMATCH'`
+ */
+function findBoundary(options, sortVector)
+{
+	const directions = ['after', 'before'].filter(function(direction)
+	{
+		return !isUndefined(options[direction]) && options[direction] !== null;
+	});
+
+	if (!isUndefined(options.cursor) && options.cursor !== null)
+	{
+		if (directions.length > 0)
+		{
+			throw new Error(`Cannot specify \`${directions[0]}\` together with a \`cursor\`.  (Use one or the other.)`);
+		}
+		return decodeCursor(options.cursor, sortVector);
+	}
+
+	if (directions.length === 0)
+	{
+		return undefined;
+	}
+	if (directions.length > 1)
+	{
+		throw new Error('Cannot specify both `after` and `before`.  (Use one or the other.)');
+	}
+
+	const direction = directions[0];
+	const values = options[direction];
+	if (sortVector.length === 0)
+	{
+		throw flaverr('E_CURSOR_MISMATCH', new Error(`Cannot page using \`${direction}\`, because this query does not sort its results.  (Specify a \`sort\` clause or a \`tiebreaker\`.)`));
+	}
+	if (!Array.isArray(values) || values.length !== sortVector.length)
+	{
+		throw flaverr('E_CURSOR_MISMATCH', new Error(`Expected \`${direction}\` to be an array with one value for each attribute this query sorts by (\`${describeSortVector(sortVector)}\`), but got: \`${util.inspect(values, {depth: null})}\``));
+	}
+
+	return {[direction]: values};
+}
+
+/**
+ * Get the value of each key in `sortVector` for `tuple`.
+ *
+ * @param  { Dictionary }    tuple
+ * @param  { Number | Number[] }  index  [the original index of `tuple`-- or for a "group by" row, of each tuple in its group]
+ * @param  { Dictionary[] }  sortVector
+ * @return { Array }
+ */
+function sortKeyValues(tuple, index, sortVector)
+{
+	return sortVector.map(function(sortKey)
+	{
+		return sortKey.position ? originalPosition(index) : tuple[sortKey.attrName];
+	});
+}
+
+/**
+ * The original position of a tuple (or "group by" row), for breaking ties when sorting.
+ *
+ * @param  { Number | Number[] }  index  [the original index of the tuple-- or for a "group by" row, of each tuple in its group]
+ * @return { Number }
+ */
+function originalPosition(index)
+{
+	// (Groups are in the order that their first tuples appear in.)
+	return Array.isArray(index) ? index[0] : index;
+}
+
+/**
+ * Rearrange `items` into the order given by `positions`.
+ *
+ * @param  { Array }     items
+ * @param  { Number[] }  positions  [e.g. `[2, 0, 1]`, as returned by `_sort.sortPositions()`]
+ * @return { Array }
+ */
+function reorder(items, positions)
+{
+	return positions.map(function(position)
+	{
+		return items[position];
+	});
+}
+
+/**
+ * Expand a `select` clause to include the alias of each of
+ * the `joins` which populate tuples of type `classifier`.
+ *
+ * @param  { String | String[] | Dictionary }  select
+ * @param  { Dictionary[] }                    joins
+ * @param  { String }                          classifier
+ * @return { String | String[] | Dictionary }
+ */
+function selectAliases(select, joins, classifier)
+{
+	const aliases = joins.filter(function(join)
+	{
+		return join.parent === classifier;
+	}).map(function(join)
+	{
+		return join.alias;
+	});
+
+	if (Array.isArray(select))
+	{
+		return select.concat(aliases.filter(function(alias)
+		{
+			return !select.includes(alias);
+		}));
+	}
+
+	if (select && typeof select === 'object' && !select['*'])
+	{
+		select = Object.assign({}, select);
+		each(aliases, function(alias)
+		{
+			if (!(alias in select))
+			{
+				select[alias] = true;
+			}
+		});
+	}
+
+	return select;
+}
+
 //   █████╗ ████████╗████████╗ █████╗  ██████╗██╗  ██╗    ███╗   ███╗ ██████╗ ██████╗ ███████╗
 //  ██╔══██╗╚══██╔══╝╚══██╔══╝██╔══██╗██╔════╝██║  ██║    ████╗ ████║██╔═══██╗██╔══██╗██╔════╝
 //  ███████║   ██║      ██║   ███████║██║     ███████║    ██╔████╔██║██║   ██║██████╔╝█████╗
@@ -153,6 +569,15 @@ module.exports = function query(/* classifier|tuples, data|criteria [, criteria]
 
 module.exports.validateWhereClause = validateWhereClause;
 module.exports.validateSortClause = validateSortClause;
+module.exports.validateCriteria = validateCriteria;
+
+// ...as well as the function `query()` uses to interpret criteria,
+// which converts any supported criteria into one canonical shape:
+module.exports.normalizeCriteria = normalizeCriteria;
+
+// ...and the function it uses to compile a `where` clause into a
+// predicate which checks whether a single record matches it:
+module.exports.compileWhere = compileWhere;
 
 //  ╔═╗╔╦╗╔╦╗╔═╗╔═╗╦ ╦  ┬  ┌─┐┬ ┬┌─┐┬─┐   ┬  ┌─┐┬  ┬┌─┐┬    ┌─┐ ┬ ┬┌─┐┬─┐┬ ┬  ┌─┐┌┐┌┌─┐
 //  ╠═╣ ║  ║ ╠═╣║  ╠═╣  │  │ ││││├┤ ├┬┘───│  ├┤ └┐┌┘├┤ │    │─┼┐│ │├┤ ├┬┘└┬┘  ├┤ │││└─┐
@@ -169,12 +594,20 @@ module.exports._limit = _limit;
 module.exports._skip = _skip;
 module.exports._sort = _sort;
 module.exports._select = _select;
+module.exports._join = _join;
+module.exports._sum = _sum;
+module.exports._average = _average;
+module.exports._min = _min;
+module.exports._max = _max;
+module.exports._count = _count;
+module.exports._groupBy = _groupBy;
 
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
 // NOTE:
-// "Group by" queries (currently experimental, and not implemented in
-// _this_ package at all) will be deprecated in the Waterline query
-// language as of Sails v1 / Waterline 0.13 in favor of Sails' new support
-// for compiled statements and easier-to-use native queries.  For more
-// info, see http://sailsjs.com/roadmap.
+// "Group by" queries are deprecated in the Waterline query language as
+// of Sails v1 / Waterline 0.13 in favor of Sails' new support for compiled
+// statements and easier-to-use native queries.  They are supported here
+// (see `criteria.groupBy` above) for the benefit of adapters which still
+// need to run them against in-memory data.  For more info, see
+// http://sailsjs.com/roadmap.
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
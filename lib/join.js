@@ -0,0 +1,204 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const isObject = require('lodash.isobject');
+const isDate = require('lodash.isdate');
+const each = require('lodash.foreach');
+
+/**
+ * Populate the tuples in `data` (which belong to `classifier`) using
+ * the Waterline join instructions in `joins`.
+ *
+ * Each join instruction looks like:
+ * ```
+ * {
+ *   parent: 'user',         // the classifier of the parent tuples
+ *   parentKey: 'id',        // the attribute of the parent to match on
+ *   child: 'pet',           // the classifier of the child tuples (in `dataset`)
+ *   childKey: 'owner',      // the attribute of the child to match on
+ *   alias: 'pets',          // the attribute of the parent to populate
+ *   collection: true,       // if true, populate an array of children; otherwise, a single child (or `null`)
+ *   junctionTable: false,   // see below
+ *   removeParentKey: false, // if true, delete `parentKey` from the parent (unless it is also the alias)
+ *   select: ['name'],       // (optional) which attributes of each child to include
+ *   criteria: {}            // (optional) a criteria dictionary to apply to each set of children
+ * }
+ * ```
+ *
+ * Many-to-many associations are expressed as a pair of join instructions with the
+ * same `alias`: the first one (with `junctionTable: true`) goes from the parent to
+ * the junction table, and the second one goes from the junction table to the child.
+ * The `select` and `criteria` of the second instruction apply to the children.
+ *
+ * @param  { Dictionary[] }  data        [the parent tuples (mutated in place)]
+ * @param  { Dictionary[] }  joins       [Waterline join instructions]
+ * @param  { Dictionary }    dataset     [all tuples, keyed by classifier]
+ * @param  { String }        classifier  [the classifier of the parent tuples]
+ * @return { Dictionary[] }
+ *
+ * @throws {Error} If the join instructions cannot be resolved.
+ *         @property {String} `code: 'E_JOINS_UNPARSEABLE'`
+ */
+module.exports = function(data, joins, dataset, classifier)
+{
+	if (!data || !joins || joins.length === 0)
+	{
+		return data;
+	}
+
+	// Required lazily, since the top-level `query()` depends on this module.
+	const query = require('./index');
+
+	if (!Array.isArray(joins))
+	{
+		throw flaverr('E_JOINS_UNPARSEABLE', new Error(`Expected \`joins\` to be an array of join instructions, but instead got: \`${util.inspect(joins, {depth: null})}\``));
+	}
+
+	if (!isObject(dataset) || Array.isArray(dataset))
+	{
+		throw flaverr('E_JOINS_UNPARSEABLE', new Error('Cannot resolve `joins` without a `data` dictionary to look up other classifiers in.  (Try calling `query(classifier, data, criteria)` instead of passing in an array of tuples.)'));
+	}
+
+	each(joins, function(join)
+	{
+		// Only start from instructions that hang directly off of the parent.
+		// (The second half of a many-to-many pair is handled along with the first half.)
+		if (join.parent !== classifier)
+		{
+			return;
+		}
+
+		// Figure out where the children come from, and how to find them.
+		let viaJunction;
+		let childJoin = join;
+		if (join.junctionTable)
+		{
+			childJoin = joins.find(function(otherJoin)
+			{
+				return otherJoin !== join && otherJoin.parent === join.child && otherJoin.alias === join.alias;
+			});
+
+			if (!childJoin)
+			{
+				throw flaverr('E_JOINS_UNPARSEABLE', new Error(`Could not find the second half of the many-to-many join for \`${join.alias}\` (i.e. a join instruction with \`parent: '${join.child}'\` and \`alias: '${join.alias}'\`).`));
+			}
+
+			viaJunction = indexBy(lookupTuples(dataset, join.child), join.childKey);
+		}
+
+		const childrenByKey = indexBy(lookupTuples(dataset, childJoin.child), childJoin.childKey);
+
+		// Build the criteria to run against each set of children.
+		const childCriteria = Object.assign({}, childJoin.criteria);
+		if (!childCriteria.select && Array.isArray(childJoin.select))
+		{
+			childCriteria.select = childJoin.select;
+		}
+
+		each(data, function(tuple)
+		{
+			let children;
+
+			if (viaJunction)
+			{
+				children = [];
+				each(viaJunction.get(toKey(tuple[join.parentKey])), function(junctionTuple)
+				{
+					children = children.concat(childrenByKey.get(toKey(junctionTuple[childJoin.parentKey])) || []);
+				});
+			}
+			else
+			{
+				children = childrenByKey.get(toKey(tuple[join.parentKey])) || [];
+			}
+
+			children = query(children, childCriteria).results;
+
+			if (join.removeParentKey && join.parentKey !== join.alias)
+			{
+				delete tuple[join.parentKey];
+			}
+
+			tuple[join.alias] = join.collection ? children : (children[0] || null);
+		});
+	});
+
+	return data;
+};
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Look up the tuples for `classifier` in `dataset`.
+ *
+ * @param  { Dictionary }  dataset
+ * @param  { String }      classifier
+ * @return { Dictionary[] }
+ */
+function lookupTuples(dataset, classifier)
+{
+	if (!Array.isArray(dataset[classifier]))
+	{
+		throw flaverr('E_JOINS_UNPARSEABLE', new Error(`Cannot join \`${classifier}\`: there is no array of tuples for it in \`data\`.`));
+	}
+	return dataset[classifier];
+}
+
+/**
+ * Group `tuples` by the value of `attrName`, so that matching
+ * children can be looked up once per parent instead of scanned.
+ *
+ * @param  { Dictionary[] }  tuples
+ * @param  { String }        attrName
+ * @return { Map }           [arrays of tuples, keyed by `toKey()`]
+ *                           (a Map, so that keys like `'constructor'` can't collide with `Object.prototype`)
+ */
+function indexBy(tuples, attrName)
+{
+	const index = new Map();
+	each(tuples, function(tuple)
+	{
+		const key = toKey(tuple[attrName]);
+		if (key === undefined)
+		{
+			return;
+		}
+		if (!index.has(key))
+		{
+			index.set(key, []);
+		}
+		index.get(key).push(tuple);
+	});
+	return index;
+}
+
+/**
+ * Build a lookup key for a foreign key value.
+ *
+ * > Numbers and numeric strings (e.g. `7` and `'7'`) produce the same key,
+ * > since primary keys are often stored inconsistently in key/value stores.
+ * > `null` and `undefined` never match anything.
+ *
+ * @param  { ??? }  value
+ * @return { String | undefined }
+ */
+function toKey(value)
+{
+	if (value === undefined || value === null)
+	{
+		return undefined;
+	}
+	if (isDate(value))
+	{
+		return value.toISOString();
+	}
+	return String(value);
+}
@@ -0,0 +1,14 @@
+/**
+ * The aggregation clauses, which each take an attribute name
+ * or an array of attribute names.
+ *
+ * > These are also among the top-level `CLAUSES` (see `./criteria-clauses.js`).
+ *
+ * @type {String[]}
+ */
+module.exports = [
+	'sum',
+	'average',
+	'min',
+	'max'
+];
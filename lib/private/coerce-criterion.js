@@ -0,0 +1,45 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const coerceToDeclaredType = require('./coerce-to-declared-type');
+
+/**
+ * coerceCriterion()
+ *
+ * Coerce a criterion from a `where` clause to the type declared for the
+ * attribute at `key` in the schema.
+ *
+ * > If no type (or an unrecognized type) is declared for the attribute,
+ * > the criterion is left as-is.
+ *
+ * @param  {???}         criterion  [e.g. `'42'`]
+ * @param  {String}      key        [e.g. `'age'` or `'address.zip'`]
+ * @param  {Dictionary?} schema     [e.g. `{ age: { type: 'number' } }`]
+ *
+ * @returns {???}
+ *          The coerced criterion (e.g. `42`).
+ *
+ * @throws {Error} If the criterion cannot be coerced to the declared type.
+ *         @property {String} `code: 'E_FILTER_NOT_USABLE'`
+ */
+module.exports = function coerceCriterion(criterion, key, schema)
+{
+
+	const type = schema && schema[key] ? schema[key].type : undefined;
+	const coerced = coerceToDeclaredType(criterion, type);
+	if (!coerced)
+	{
+		return criterion;
+	}
+
+	if (!coerced.coercible)
+	{
+		throw flaverr('E_FILTER_NOT_USABLE', new Error(`Cannot filter by \`${util.inspect(criterion, {depth: null})}\` at \`${key}\`, because it could not be coerced to the type declared for that attribute in the schema (\`${type}\`).`));
+	}
+
+	return coerced.value;
+
+};
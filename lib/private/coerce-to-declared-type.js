@@ -0,0 +1,155 @@
+/**
+ * Module dependencies
+ */
+
+const isString = require('lodash.isstring');
+const isNumber = require('lodash.isnumber');
+const isBoolean = require('lodash.isboolean');
+const isDate = require('lodash.isdate');
+const isUndefined = require('lodash.isundefined');
+
+/**
+ * coerceToDeclaredType()
+ *
+ * Coerce `value` to an attribute type declared in a schema.
+ *
+ * • `number` (or `integer`/`float`) - numbers, and strings which parse as finite numbers
+ * • `string` (or `text`) - strings, numbers, booleans, and dates (as ISO 8601 timestamps)
+ * • `boolean` - booleans, `'true'`/`'false'`, and `1`/`0`
+ * • `date`, `datetime`, or `timestamp` - dates, JS timestamps, and parseable date strings
+ * • `json` or `ref` - anything (the value is left as-is)
+ *
+ * `null` and `undefined` are left as-is, whatever the type.
+ *
+ * @param  {???}     value
+ * @param  {String?} type   [e.g. `'number'`]
+ *
+ * @returns {Dictionary?}
+ *          @property {Boolean} coercible  [whether or not `value` could be coerced to `type`]
+ *          @property {???}     value      [the coerced value (or the original value, if it could not be coerced)]
+ *          (If `type` is missing or unrecognized, returns `undefined` instead.)
+ */
+module.exports = function coerceToDeclaredType(value, type)
+{
+
+	const coerce = COERCIONS[type];
+	if (!coerce)
+	{
+		return undefined;
+	}
+
+	if (isUndefined(value) || value === null)
+	{
+		return {
+			coercible : true,
+			value     : value
+		};
+	}
+
+	const coerced = coerce(value);
+	if (isUndefined(coerced))
+	{
+		return {
+			coercible : false,
+			value     : value
+		};
+	}
+
+	return {
+		coercible : true,
+		value     : coerced
+	};
+
+};
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+// Coercion functions, keyed by declared type.
+// (Each returns `undefined` if the value cannot be coerced.)
+const COERCIONS = {
+	number    : toNumber,
+	integer   : toNumber,
+	float     : toNumber,
+	string    : toString,
+	text      : toString,
+	boolean   : toBoolean,
+	date      : toDate,
+	datetime  : toDate,
+	timestamp : toDate,
+	json      : toSelf,
+	ref       : toSelf
+};
+
+/**
+ * Coerce `x` to a finite number.
+ *
+ * @param  {???} x
+ * @return {???}  [or `undefined`, if `x` cannot be coerced]
+ */
+function toNumber(x)
+{
+	if (isNumber(x) && isFinite(x)) {return x;}
+	if (isString(x) && x.trim() !== '' && isFinite(Number(x))) {return Number(x);}
+	return undefined;
+}
+
+/**
+ * Coerce `x` to a string.
+ *
+ * @param  {???} x
+ * @return {???}  [or `undefined`, if `x` cannot be coerced]
+ */
+function toString(x)
+{
+	if (isString(x)) {return x;}
+	if (isNumber(x) || isBoolean(x)) {return String(x);}
+	if (isDate(x) && !isNaN(x.getTime())) {return x.toISOString();}
+	return undefined;
+}
+
+/**
+ * Coerce `x` to a boolean.
+ *
+ * @param  {???} x
+ * @return {???}  [or `undefined`, if `x` cannot be coerced]
+ */
+function toBoolean(x)
+{
+	if (isBoolean(x)) {return x;}
+	if (x === 'true' || x === 'false') {return x === 'true';}
+	if (x === 1 || x === 0) {return x === 1;}
+	return undefined;
+}
+
+/**
+ * Coerce `x` to a (valid) Date.
+ *
+ * @param  {???} x
+ * @return {???}  [or `undefined`, if `x` cannot be coerced]
+ */
+function toDate(x)
+{
+	if (isDate(x)) {return isNaN(x.getTime()) ? undefined : x;}
+	if ((isNumber(x) && isFinite(x)) || (isString(x) && x.trim() !== ''))
+	{
+		const date = new Date(x);
+		if (!isNaN(date.getTime())) {return date;}
+	}
+	return undefined;
+}
+
+/**
+ * Leave `x` as-is.
+ *
+ * @param  {???} x
+ * @return {???}
+ */
+function toSelf(x)
+{
+	return x;
+}
@@ -0,0 +1,23 @@
+/**
+ * The clauses which may be used at the top level of a criteria.
+ *
+ * > Any other top-level key in a criteria without a `where` clause is
+ * > understood as an attribute to filter by (see `normalizeCriteria()`).
+ *
+ * @type {String[]}
+ */
+module.exports = [
+	'where',
+	'limit',
+	'skip',
+	'sort',
+	'select',
+	'omit',
+	'joins',
+	'groupBy',
+	'sum',
+	'average',
+	'min',
+	'max',
+	'count'
+];
@@ -0,0 +1,60 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const isObject = require('lodash.isobject');
+const isString = require('lodash.isstring');
+const describeSortVector = require('./describe-sort-vector');
+
+/**
+ * decodeCursor()
+ *
+ * Parse a cursor built by `encodeCursor()`, and check that it was built for
+ * the same sort vector.
+ *
+ * @param  {String}       cursor
+ * @param  {Dictionary[]} sortVector  [the sort vector of the query the cursor is being used with]
+ *
+ * @returns {Dictionary}
+ *          Either `{ after: [...] }` or `{ before: [...] }`, with one value per attribute in `sortVector`.
+ *
+ * @throws {Error} If the cursor cannot be parsed.
+ *         @property {String} `code: 'E_CURSOR_UNPARSEABLE'`
+ *
+ * @throws {Error} If the cursor was built for a different sort vector.
+ *         @property {String} `code: 'E_CURSOR_MISMATCH'`
+ */
+module.exports = function decodeCursor(cursor, sortVector)
+{
+
+	let decoded;
+	try
+	{
+		// (see `./encode-cursor.js`)
+		decoded = isString(cursor) ? JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString()) : undefined;
+	}
+	catch (e)
+	{
+		decoded = undefined;
+	}
+
+	const direction = ['after', 'before'].find(function(key)
+	{
+		return isObject(decoded) && Array.isArray(decoded[key]);
+	});
+	if (!direction || !isString(decoded.sort))
+	{
+		throw flaverr('E_CURSOR_UNPARSEABLE', new Error(`Could not parse the provided cursor: \`${util.inspect(cursor, {depth: null})}\`  (Expected the \`nextCursor\` or \`prevCursor\` returned by an earlier query.)`));
+	}
+
+	const sort = describeSortVector(sortVector);
+	if (decoded.sort !== sort || decoded[direction].length !== sortVector.length)
+	{
+		throw flaverr('E_CURSOR_MISMATCH', new Error(`The provided cursor is for results sorted by \`${decoded.sort}\`, but this query ${sort ? `sorts them by \`${sort}\`` : 'does not sort them'}.  (A cursor can only be used with the same \`sort\` clause and \`tiebreaker\` as the query which returned it.)`));
+	}
+
+	return {[direction]: decoded[direction]};
+
+};
@@ -0,0 +1,32 @@
+/**
+ * describeSortVector()
+ *
+ * Describe a sort vector the way it would be written as a `sort` clause.
+ *
+ * @param  {Dictionary[]} sortVector
+ *         e.g. `[ { attrName: 'name', direction: -1, nulls: 'last' }, { attrName: 'id', direction: 1 } ]`
+ *         (see `normalizeSortClause()`)
+ *
+ * @returns {String}
+ *          e.g. `'name DESC NULLS LAST, id ASC'`
+ *          (or `''`, if the vector is empty)
+ *          The original position (see `_sort.resolveSortVector()`) is described as `(original position)`.
+ */
+module.exports = function describeSortVector(sortVector)
+{
+
+	return sortVector.map(function(sortKey)
+	{
+		if (sortKey.position)
+		{
+			return '(original position)';
+		}
+		const direction = sortKey.direction < 0 ? 'DESC' : 'ASC';
+		if (sortKey.nulls)
+		{
+			return `${sortKey.attrName} ${direction} NULLS ${sortKey.nulls.toUpperCase()}`;
+		}
+		return `${sortKey.attrName} ${direction}`;
+	}).join(', ');
+
+};
@@ -0,0 +1,36 @@
+/**
+ * Module dependencies
+ */
+
+const describeSortVector = require('./describe-sort-vector');
+
+/**
+ * encodeCursor()
+ *
+ * Build an opaque cursor which refers to the page of results just after
+ * (or just before) a particular tuple.
+ *
+ * > The cursor records the sort vector along with the values, so that
+ * > `decodeCursor()` can reject it if it is used with a different one.
+ *
+ * @param  {Dictionary[]} sortVector  [see `normalizeSortClause()`]
+ * @param  {String}       direction   [`'after'` or `'before'`]
+ * @param  {Array}        values      [the value of each attribute in `sortVector`, for the tuple to page from]
+ *
+ * @returns {String}
+ *          The cursor (a URL-safe string).
+ */
+module.exports = function encodeCursor(sortVector, direction, values)
+{
+
+	// (The `base64url` encoding is only supported by newer versions of Node,
+	// so the URL-safe characters are swapped in by hand.)
+	return Buffer.from(JSON.stringify({
+		sort        : describeSortVector(sortVector),
+		[direction] : values
+	})).toString('base64')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+
+};
@@ -0,0 +1,280 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const each = require('lodash.foreach');
+const isUndefined = require('lodash.isundefined');
+const isString = require('lodash.isstring');
+const isObject = require('lodash.isobject');
+const isFunction = require('lodash.isfunction');
+const normalizeWhereClause = require('./normalize-where-clause');
+const normalizeSortClause = require('./normalize-sort-clause');
+const parseNonNegativeInteger = require('./parse-non-negative-integer');
+const resolveWhereClause = require('./resolve-where-clause');
+const AGGREGATION_CLAUSES = require('./aggregation-clauses');
+
+/**
+ * normalizeCriteria()
+ *
+ * Convert any criteria accepted by `query()` into a canonical criteria dictionary:
+ * ```
+ * {
+ *   where  : { and: [ { name: 'Finn' }, { age: { '>': 18 } } ] },  // (see `normalizeWhereClause()`)
+ *   select : ['*'],                                                // or e.g. `['name', 'age']`
+ *   omit   : [],
+ *   sort   : [ { age: 'DESC' }, { name: 'ASC' } ],
+ *   skip   : 0,
+ *   limit  : 9007199254740991                                      // (i.e. `Number.MAX_SAFE_INTEGER`)
+ * }
+ * ```
+ *
+ * • If the criteria has no `where` clause, then any keys which are not recognized
+ *   clauses are taken to be the `where` clause.  e.g. `{ name: 'Finn', limit: 1 }`
+ * • `sort` becomes an array of single-key dictionaries, in order of precedence.
+ *   (A sort key with a `nulls` preference looks like `{ age: { direction: 'DESC', nulls: 'last' } }`.)
+ * • `select` becomes an array of attribute names: `'*'` becomes `['*']`, and
+ *   `{ '*': true, age: false }` becomes `['*']` with an `omit` of `['age']`.
+ *   (A `select` dictionary containing nested projections is left as a dictionary.)
+ * • `skip` and `limit` become numbers.
+ * • `groupBy` and the aggregation clauses (`sum`, etc.) become arrays, and `count` a boolean.
+ *   Like `joins`, these are only included if they were specified.
+ *
+ * > This is what `query()` uses to interpret its criteria, so adapters may call it
+ * > to see exactly how a criteria will be understood.  It only checks what it needs
+ * > to in order to normalize the criteria-- to check for other obviously unsupported
+ * > usage, use `validateCriteria()`.
+ *
+ * @param  {Dictionary?} criteria
+ *         A Waterline criteria, as accepted by `query()`.
+ *
+ * @param  {Dictionary?} schema
+ *         Attribute definitions, keyed by attribute name-- e.g. `{ age: { type: 'number' } }`.
+ *         If provided, the criteria in the `where` clause are coerced to the declared types.
+ *
+ * @returns {Dictionary}
+ *          The canonical criteria.
+ *
+ * @throws {Error} If the criteria cannot be parsed.
+ *         @property {String} `code: 'E_CRITERIA_UNPARSEABLE'`
+ *         @property {String?} `clause`  [the name of the offending clause, if any, e.g. `'limit'`]
+ *
+ * @throws {Error} If the `where` or `sort` clause cannot be parsed.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'` or `'E_SORT_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If a criterion cannot be coerced to the type declared for its attribute.
+ *         @property {String} `code: 'E_FILTER_NOT_USABLE'`
+ */
+module.exports = function normalizeCriteria(criteria, schema)
+{
+
+	if (isUndefined(criteria) || criteria === null)
+	{
+		criteria = {};
+	}
+
+	if (!isDictionary(criteria))
+	{
+		throw flaverr('E_CRITERIA_UNPARSEABLE', new Error(`Expected the criteria to be a dictionary, but got: \`${util.inspect(criteria, {depth: null})}\``));
+	}
+
+	// If there is no `where` clause, then any other keys are attributes to filter by.
+	// e.g. `{ name: 'Finn', limit: 1 }` is the same as `{ where: { name: 'Finn' }, limit: 1 }`
+	const where = resolveWhereClause(criteria);
+
+	const projection = normalizeProjection(criteria.select, criteria.omit);
+
+	const normalized = {
+		where  : normalizeWhereClause(where, schema),
+		select : projection.select,
+		omit   : projection.omit,
+		sort   : normalizeSort(criteria.sort),
+		skip   : normalizeNumber('skip', criteria.skip, 0),
+		limit  : normalizeNumber('limit', criteria.limit, Number.MAX_SAFE_INTEGER)
+	};
+
+	if (!isUndefined(criteria.joins))
+	{
+		normalized.joins = criteria.joins;
+	}
+
+	if (criteria.groupBy)
+	{
+		normalized.groupBy = toArray(criteria.groupBy);
+	}
+
+	each(AGGREGATION_CLAUSES, function(clause)
+	{
+		if (criteria[clause])
+		{
+			normalized[clause] = toArray(criteria[clause]);
+		}
+	});
+
+	if (!isUndefined(criteria.count))
+	{
+		normalized.count = Boolean(criteria.count);
+	}
+
+	return normalized;
+
+};
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Convert a `sort` clause into an array of single-key dictionaries.
+ *
+ * @param  {String|Dictionary|Array?} sort
+ * @return {Dictionary[]}  [e.g. `[{ age: 'DESC' }, { name: 'ASC' }]`]
+ */
+function normalizeSort(sort)
+{
+	if (!sort)
+	{
+		return [];
+	}
+
+	return normalizeSortClause(sort).map(function(sortKey)
+	{
+		const direction = sortKey.direction < 0 ? 'DESC' : 'ASC';
+		if (sortKey.nulls)
+		{
+			return {
+				[sortKey.attrName] : {
+					direction : direction,
+					nulls     : sortKey.nulls
+				}
+			};
+		}
+		return {[sortKey.attrName]: direction};
+	});
+}
+
+/**
+ * Convert the `select` and `omit` clauses into arrays of attribute names.
+ *
+ * @param  {String|String[]|Dictionary?} select
+ * @param  {String[]?}                   omit
+ * @return {Dictionary}
+ *         @property {String[]|Dictionary} select  [e.g. `['*']` or `['name', 'age']`]
+ *         @property {String[]}            omit    [e.g. `['age']`]
+ */
+function normalizeProjection(select, omit)
+{
+	if (!isUndefined(omit) && !(Array.isArray(omit) && omit.every(isString)))
+	{
+		throw clauseError('omit', `Expected \`omit\` to be an array of attribute names, but got: \`${util.inspect(omit, {depth: null})}\``);
+	}
+	omit = omit ? omit.slice() : [];
+
+	if (isUndefined(select) || select === null || select === '*')
+	{
+		select = ['*'];
+	}
+	else if (Array.isArray(select))
+	{
+		select = select.includes('*') ? ['*'] : select.slice();
+	}
+	else if (isDictionary(select))
+	{
+		// (Nested projections can't be expressed as a list, so leave those as-is.)
+		// e.g. `{ pet: { collarSize: true } }`
+		const isFlat = Object.keys(select).every(function(attrName)
+		{
+			return !isObject(select[attrName]);
+		});
+		if (isFlat && select['*'])
+		{
+			each(select, function(isSelected, attrName)
+			{
+				if (!isSelected && !omit.includes(attrName))
+				{
+					omit.push(attrName);
+				}
+			});
+			select = ['*'];
+		}
+		else if (isFlat)
+		{
+			select = Object.keys(select).filter(function(attrName)
+			{
+				return select[attrName];
+			});
+		}
+	}
+	else
+	{
+		throw clauseError('select', `Expected \`select\` to be \`'*'\`, an array of attribute names, or a dictionary, but got: \`${util.inspect(select, {depth: null})}\``);
+	}
+
+	if (omit.length > 0 && !(Array.isArray(select) && select[0] === '*'))
+	{
+		throw clauseError('omit', '`omit` cannot be used together with `select`.  (Use one or the other.)');
+	}
+
+	return {
+		select : select,
+		omit   : omit
+	};
+}
+
+/**
+ * Parse a `skip` or `limit` clause as a non-negative integer.
+ *
+ * @param  {String}  clause        [e.g. `'limit'`]
+ * @param  {???}     value
+ * @param  {Number}  defaultValue  [used if `value` is `undefined` or `null`]
+ * @return {Number}
+ */
+function normalizeNumber(clause, value, defaultValue)
+{
+	if (isUndefined(value) || value === null)
+	{
+		return defaultValue;
+	}
+
+	const number = parseNonNegativeInteger(value);
+	if (isUndefined(number))
+	{
+		throw clauseError(clause, `Invalid \`${clause}\`: \`${util.inspect(value, {depth: null})}\`  (\`${clause}\` must be a non-negative integer.)`);
+	}
+	return number;
+}
+
+/**
+ * @param  {String} clause   [e.g. `'limit'`]
+ * @param  {String} message
+ * @return {Error}
+ */
+function clauseError(clause, message)
+{
+	return flaverr({
+		code   : 'E_CRITERIA_UNPARSEABLE',
+		clause : clause
+	}, new Error(message));
+}
+
+/**
+ * @param  {???} value
+ * @return {Array}
+ */
+function toArray(value)
+{
+	return Array.isArray(value) ? value.slice() : [value];
+}
+
+/**
+ * @param  {???} value
+ * @return {Boolean}
+ */
+function isDictionary(value)
+{
+	return isObject(value) && !Array.isArray(value) && !isFunction(value);
+}
@@ -0,0 +1,124 @@
+/**
+ * Module dependencies
+ */
+
+const isString = require('lodash.isstring');
+const isObject = require('lodash.isobject');
+const validateSortClause = require('../validators/validate-sort-clause');
+const X_SORT_STRING = require('../X_SORT_STRING.constant');
+
+/**
+ * normalizeSortClause()
+ *
+ * Validate the provided `sort` clause, then convert it into an
+ * ordered sort vector.
+ *
+ * Any of the following are understood:
+ * ```
+ * 'name'
+ * 'name DESC'
+ * 'name DESC, age ASC'
+ * 'name DESC NULLS LAST'
+ * { name: 'DESC', age: 1 }
+ * { name: { direction: 'DESC', nulls: 'last' } }
+ * [{ name: 'DESC' }, { age: 1 }]
+ * ['name DESC', 'age']
+ * ```
+ *
+ * @param  {String|Dictionary|Array} sort
+ *         A hypothetically well-formed `sort` clause from
+ *         a Waterline criteria.
+ *
+ * @returns {Dictionary[]}
+ *          The sort vector, in order of precedence.  e.g.
+ *          `[ { attrName: 'name', direction: -1, nulls: 'last' }, { attrName: 'age', direction: 1 } ]`
+ *          (`nulls` is only present if it was explicitly specified.)
+ *
+ * @throws {Error} If SORT clause cannot be parsed.
+ *         @property {String} `code: 'E_SORT_CLAUSE_UNPARSEABLE'`
+ */
+module.exports = function normalizeSortClause(sort)
+{
+	validateSortClause(sort);
+
+	// Convert the clause into a list of single-key dictionaries and/or strings.
+	let items;
+	if (isString(sort))
+	{
+		items = sort.split(',');
+	}
+	else if (Array.isArray(sort))
+	{
+		items = sort;
+	}
+	else
+	{
+		items = Object.keys(sort).map(function(attrName)
+		{
+			return {[attrName]: sort[attrName]};
+		});
+	}
+
+	return items.reduce(function(sortVector, item)
+	{
+		// e.g. `'name DESC NULLS LAST'`
+		if (isString(item))
+		{
+			const matches = item.match(X_SORT_STRING);
+			sortVector.push(buildSortKey(matches[1], matches[2] || 'ASC', matches[3]));
+		}
+		// e.g. `{ name: 'DESC' }` or `{ name: { direction: 'DESC', nulls: 'last' } }`
+		else
+		{
+			Object.keys(item).forEach(function(attrName)
+			{
+				const value = item[attrName];
+				if (isObject(value))
+				{
+					sortVector.push(buildSortKey(attrName, value.direction || 'ASC', value.nulls));
+				}
+				else
+				{
+					sortVector.push(buildSortKey(attrName, value));
+				}
+			});
+		}
+		return sortVector;
+	}, []);
+};
+
+/**
+ * Build an item for the sort vector.
+ *
+ * @param  {String}        attrName
+ * @param  {String|Number} direction
+ * @param  {String?}       nulls      [e.g. `'FIRST'` or `'last'`]
+ * @return {Dictionary}
+ */
+function buildSortKey(attrName, direction, nulls)
+{
+	const sortKey = {
+		attrName  : attrName,
+		direction : parseDirection(direction)
+	};
+	if (nulls)
+	{
+		sortKey.nulls = nulls.toLowerCase();
+	}
+	return sortKey;
+}
+
+/**
+ * Convert a (validated) sort direction into `1` (ascending) or `-1` (descending).
+ *
+ * @param  {String|Number} direction  [e.g. `'ASC'`, `'desc'`, `1`, or `-1`]
+ * @return {Number}
+ */
+function parseDirection(direction)
+{
+	if (isString(direction))
+	{
+		return direction.toUpperCase() === 'DESC' ? -1 : 1;
+	}
+	return direction < 0 ? -1 : 1;
+}
@@ -0,0 +1,386 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const each = require('lodash.foreach');
+const isObject = require('lodash.isobject');
+const isDate = require('lodash.isdate');
+const isRegExp = require('lodash.isregexp');
+const isFunction = require('lodash.isfunction');
+const coerceCriterion = require('./coerce-criterion');
+
+// The canonical name of each sub-attribute modifier, keyed by every name it goes by.
+const CANONICAL_MODIFIERS = {
+	'='                : '=',
+	equals             : '=',
+	equal              : '=',
+	'!='               : '!=',
+	'!'                : '!=',
+	not                : '!=',
+	'<'                : '<',
+	lessThan           : '<',
+	'<='               : '<=',
+	lessThanOrEqual    : '<=',
+	'>'                : '>',
+	greaterThan        : '>',
+	'>='               : '>=',
+	greaterThanOrEqual : '>=',
+	in                 : 'in',
+	nin                : 'nin',
+	like               : 'like',
+	contains           : 'contains',
+	startsWith         : 'startsWith',
+	endsWith           : 'endsWith',
+	regex              : 'regex',
+	has                : 'has',
+	hasAll             : 'hasAll',
+	hasAny             : 'hasAny',
+	size               : 'size',
+	elemMatch          : 'elemMatch'
+};
+
+// Modifiers whose criteria are coerced to the type declared for the attribute
+// (the same ones that are coerced when filtering-- see `../filters/where.js`)
+const COERCED_MODIFIERS = [
+	'=',
+	'!=',
+	'<',
+	'<=',
+	'>',
+	'>=',
+	'in',
+	'nin'
+];
+
+// String search modifiers, and the search options which may accompany each of them
+const SEARCH_OPTIONS_BY_MODIFIER = {
+	like       : ['caseSensitive', 'flags', 'escape'],
+	contains   : ['caseSensitive', 'flags'],
+	startsWith : ['caseSensitive', 'flags'],
+	endsWith   : ['caseSensitive', 'flags']
+};
+
+// All of the search options
+const SEARCH_OPTIONS = SEARCH_OPTIONS_BY_MODIFIER.like;
+
+/**
+ * normalizeWhereClause()
+ *
+ * Convert a `where` clause into its canonical form: a single `and` predicate,
+ * containing one conjunct per constraint.
+ *
+ * Each conjunct is one of:
+ * • an `or` predicate, e.g. `{ or: [ ...conjuncts ] }`
+ *   (where a branch with more than one conjunct is an `and` predicate)
+ * • a `not` predicate, e.g. `{ not: conjunct }`
+ * • an equality filter, e.g. `{ name: 'Finn' }`
+ * • a single sub-attribute modifier, e.g. `{ age: { '>': 18 } }`
+ *   (string search modifiers keep any search options that applied to them--
+ *   e.g. `{ sku: { contains: 'X', caseSensitive: true } }`)
+ *
+ * Along the way:
+ * • nested `and` predicates are flattened, and predicate names are lowercased
+ * • nested attributes become dot-delimited paths (e.g. `'address.city'`)
+ * • a top-level `like` predicate becomes one `like` modifier per attribute
+ * • an array becomes an `in` modifier (and `not` with an array becomes `nin`)
+ * • modifier aliases are replaced with canonical names: `equals`/`equal`/`=`
+ *   become an equality filter, `not`/`!` become `!=`, and `lessThan` etc.
+ *   become `<`, `<=`, `>`, and `>=` (including within `size`)
+ *
+ * If a `schema` is provided, the criteria for equality, comparisons, `in`,
+ * and `nin` are also coerced to the type declared for each attribute.
+ *
+ * @param  {Dictionary?} where
+ *         A `where` clause, as accepted by `query()`.  (`null`, `''`, and `{}`
+ *         all match everything.)
+ *
+ * @param  {Dictionary?} schema
+ *         Attribute definitions, keyed by attribute name-- e.g. `{ age: { type: 'number' } }`
+ *
+ * @returns {Dictionary}
+ *          e.g. `{ and: [ { name: 'Finn' }, { age: { '>': 18 } } ] }`
+ *
+ * @throws {Error} If the `where` clause cannot be parsed.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If a criterion cannot be coerced to the type declared for its attribute.
+ *         @property {String} `code: 'E_FILTER_NOT_USABLE'`
+ */
+module.exports = function normalizeWhereClause(where, schema)
+{
+
+	if (!where)
+	{
+		return {and: []};
+	}
+
+	return {and: normalizeConjuncts(where, 'where', schema)};
+
+};
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Normalize each of the criteria in `clause` into a list of conjuncts.
+ *
+ * @param  {Dictionary}  clause
+ * @param  {String}      clausePath  [where `clause` is, for use in error messages-- e.g. `'where.or[1]'`]
+ * @param  {Dictionary?} schema
+ * @return {Dictionary[]}
+ */
+function normalizeConjuncts(clause, clausePath, schema)
+{
+	if (!isDictionary(clause))
+	{
+		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`Expected \`${clausePath}\` to be a dictionary, but got: \`${util.inspect(clause, {depth: null})}\``));
+	}
+
+	const conjuncts = [];
+	each(clause, function(criterion, key)
+	{
+		normalizeCriterion(key, criterion, clausePath, schema, conjuncts);
+	});
+	return conjuncts;
+}
+
+/**
+ * Normalize a sub-clause (e.g. a branch of an `or` predicate) into a single conjunct.
+ *
+ * @param  {Dictionary?} clause
+ * @param  {String}      clausePath
+ * @param  {Dictionary?} schema
+ * @return {Dictionary}
+ */
+function normalizeBranch(clause, clausePath, schema)
+{
+	// (An empty branch matches everything, like an empty `where` clause.)
+	const conjuncts = clause ? normalizeConjuncts(clause, clausePath, schema) : [];
+	return conjuncts.length === 1 ? conjuncts[0] : {and: conjuncts};
+}
+
+/**
+ * Normalize the criterion at `key`, adding the resulting conjunct(s) to `conjuncts`.
+ *
+ * @param  {String}       key         [an attribute name or path, or a predicate like `'or'`]
+ * @param  {???}          criterion
+ * @param  {String}       clausePath  [where the clause containing `key` is-- e.g. `'where'`]
+ * @param  {Dictionary?}  schema
+ * @param  {Dictionary[]} conjuncts
+ */
+function normalizeCriterion(key, criterion, clausePath, schema, conjuncts)
+{
+	const predicate = key.toLowerCase();
+
+	if (predicate === 'or')
+	{
+		conjuncts.push({
+			or : toPredicateArray(criterion, `${clausePath}.${key}`).map(function(branch, i)
+			{
+				return normalizeBranch(branch, `${clausePath}.${key}[${i}]`, schema);
+			})
+		});
+	}
+	else if (predicate === 'and')
+	{
+		each(toPredicateArray(criterion, `${clausePath}.${key}`), function(branch, i)
+		{
+			if (branch)
+			{
+				conjuncts.push(...normalizeConjuncts(branch, `${clausePath}.${key}[${i}]`, schema));
+			}
+		});
+	}
+	else if (predicate === 'not')
+	{
+		conjuncts.push({not: normalizeBranch(criterion, `${clausePath}.${key}`, schema)});
+	}
+	// e.g. `{ like: { name: 'Fi%' } }`
+	else if (predicate === 'like')
+	{
+		if (!isDictionary(criterion))
+		{
+			throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`Expected \`${clausePath}.${key}\` to be a dictionary of \`like\` patterns, keyed by attribute name, but got: \`${util.inspect(criterion, {depth: null})}\``));
+		}
+		each(criterion, function(pattern, attrName)
+		{
+			conjuncts.push({[attrName]: {like: pattern}});
+		});
+	}
+	// e.g. `{ name: ['Finn', 'Jake'] }`
+	else if (Array.isArray(criterion))
+	{
+		conjuncts.push({[key]: normalizeModifier('in', criterion, key, schema)});
+	}
+	// e.g. `{ age: { '>': 18, lessThan: 65 } }`
+	else if (isObject(criterion) && hasSubAttrModifier(criterion))
+	{
+		normalizeModifiers(key, criterion, schema, conjuncts);
+	}
+	// e.g. `{ address: { city: 'Paris' } }`
+	else if (isObject(criterion) && !isDate(criterion) && !isRegExp(criterion))
+	{
+		each(criterion, function(subCriterion, subKey)
+		{
+			normalizeCriterion(`${key}.${subKey}`, subCriterion, clausePath, schema, conjuncts);
+		});
+	}
+	// e.g. `{ name: 'Finn' }`
+	else
+	{
+		conjuncts.push({[key]: coerceCriterion(criterion, key, schema)});
+	}
+}
+
+/**
+ * Normalize a dictionary of sub-attribute modifiers into one conjunct per modifier.
+ *
+ * @param  {String}       attrName
+ * @param  {Dictionary}   modifiers  [e.g. `{ '>': 18, lessThan: 65 }`]
+ * @param  {Dictionary?}  schema
+ * @param  {Dictionary[]} conjuncts
+ */
+function normalizeModifiers(attrName, modifiers, schema, conjuncts)
+{
+	each(modifiers, function(criterion, modifier)
+	{
+		// Search options are attached to the modifiers they apply to (see below).
+		if (SEARCH_OPTIONS.includes(modifier))
+		{
+			return;
+		}
+
+		if (!hasOwnProperty(CANONICAL_MODIFIERS, modifier))
+		{
+			throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`Unrecognized sub-attribute modifier (\`${modifier}\`) for \`${attrName}\`.  Make sure to use a recognized sub-attribute modifier such as \`startsWith\`, \`<=\`, \`!=\`, etc.`));
+		}
+
+		const canonicalModifier = CANONICAL_MODIFIERS[modifier];
+
+		// Each modifier within `size` becomes a conjunct of its own, too.
+		// e.g. `{ tags: { size: { '>': 1, lessThan: 5 } } }`
+		if (canonicalModifier === 'size' && isObject(criterion) && hasSubAttrModifier(criterion))
+		{
+			each(criterion, function(sizeCriterion, sizeModifier)
+			{
+				if (!hasOwnProperty(CANONICAL_MODIFIERS, sizeModifier))
+				{
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`Unrecognized modifier (\`${sizeModifier}\`) within \`size\` for \`${attrName}\`.`));
+				}
+				conjuncts.push({[attrName]: {size: normalizeModifier(CANONICAL_MODIFIERS[sizeModifier], sizeCriterion, 'size', {})}});
+			});
+			return;
+		}
+
+		const normalized = normalizeModifier(canonicalModifier, criterion, attrName, schema);
+
+		// Keep any search options which apply to this modifier.
+		// e.g. `{ sku: { contains: 'X', caseSensitive: true } }`
+		each(SEARCH_OPTIONS_BY_MODIFIER[canonicalModifier], function(searchOption)
+		{
+			if (hasOwnProperty(modifiers, searchOption))
+			{
+				normalized[searchOption] = modifiers[searchOption];
+			}
+		});
+
+		conjuncts.push({[attrName]: normalized});
+	});
+}
+
+/**
+ * Build the canonical right-hand side for a single (canonically-named) modifier.
+ *
+ * @param  {String}      modifier   [e.g. `'!='`]
+ * @param  {???}         criterion
+ * @param  {String}      attrName
+ * @param  {Dictionary?} schema
+ * @return {???}         [e.g. `{ nin: [18, 21] }`, or just the value itself for an equality filter]
+ */
+function normalizeModifier(modifier, criterion, attrName, schema)
+{
+	// `not` with an array is a "not in".
+	// e.g. `{ age: { '!': [18, 21] } }`
+	if (modifier === '!=' && Array.isArray(criterion))
+	{
+		modifier = 'nin';
+	}
+
+	if (COERCED_MODIFIERS.includes(modifier))
+	{
+		if (modifier !== 'in' && modifier !== 'nin')
+		{
+			criterion = coerceCriterion(criterion, attrName, schema);
+		}
+		else if (Array.isArray(criterion))
+		{
+			criterion = criterion.map(function(item)
+			{
+				return coerceCriterion(item, attrName, schema);
+			});
+		}
+	}
+
+	// Equality filters are expressed using the value itself-- unless it is an array
+	// or dictionary, which would be mistaken for an `in` or a nested attribute.
+	if (modifier === '=' && !(isObject(criterion) && !isDate(criterion) && !isRegExp(criterion)))
+	{
+		return criterion;
+	}
+
+	return {[modifier]: criterion};
+}
+
+/**
+ * @param  {???}    criterion      [the right-hand side of an `or` or `and` predicate]
+ * @param  {String} predicatePath  [e.g. `'where.or'`]
+ * @return {Array}
+ */
+function toPredicateArray(criterion, predicatePath)
+{
+	if (!Array.isArray(criterion))
+	{
+		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`Expected an array at \`${predicatePath}\`, but instead got: \`${util.inspect(criterion, {depth: null})}\``));
+	}
+	return criterion;
+}
+
+/**
+ * Whether this dictionary consists of sub-attribute modifiers, rather than nested attributes
+ * (i.e. whether it contains at least one recognized modifier).
+ *
+ * @param  {Dictionary} criterion
+ * @return {Boolean}
+ */
+function hasSubAttrModifier(criterion)
+{
+	return Object.keys(CANONICAL_MODIFIERS).some(function(modifier)
+	{
+		return hasOwnProperty(criterion, modifier);
+	});
+}
+
+/**
+ * @param  {???} value
+ * @return {Boolean}
+ */
+function isDictionary(value)
+{
+	return isObject(value) && !Array.isArray(value) && !isFunction(value);
+}
+
+/**
+ * @param  {Object} obj
+ * @param  {String} prop
+ * @return {Boolean}
+ */
+function hasOwnProperty(obj, prop)
+{
+	return Object.prototype.hasOwnProperty.call(obj, prop);
+}
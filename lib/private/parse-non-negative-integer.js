@@ -0,0 +1,36 @@
+/**
+ * Module dependencies
+ */
+
+const isNumber = require('lodash.isnumber');
+const isString = require('lodash.isstring');
+
+/**
+ * parseNonNegativeInteger()
+ *
+ * Parse a value like a `limit` or `skip` as a non-negative integer.
+ *
+ * > Numeric strings like `'10'` are tolerated (e.g. when they come
+ * > from a query string), but fractional and negative numbers are not.
+ *
+ * @param  {???} value
+ *
+ * @returns {Number?}
+ *          The parsed integer, or `undefined` if `value` is not a non-negative integer.
+ */
+module.exports = function parseNonNegativeInteger(value)
+{
+
+	if (isString(value) && value.trim().match(/^\d+$/))
+	{
+		value = Number(value);
+	}
+
+	if (!isNumber(value) || !Number.isSafeInteger(value) || value < 0)
+	{
+		return undefined;
+	}
+
+	return value;
+
+};
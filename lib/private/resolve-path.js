@@ -0,0 +1,58 @@
+/**
+ * Module dependencies
+ */
+
+const isObject = require('lodash.isobject');
+
+/**
+ * resolvePath()
+ *
+ * Look up the value at `path` within `record`.
+ *
+ * If `record` has its own property named exactly `path`, that wins.
+ * Otherwise, a dot-delimited path like `'address.city'` is followed
+ * into nested dictionaries.
+ *
+ * @param  {Dictionary} record
+ * @param  {String}     path     [e.g. `'name'` or `'address.city'`]
+ *
+ * @returns {Dictionary}
+ *          @property {Boolean} found  [whether or not the path exists in `record`]
+ *          @property {???}     value  [the value at that path (or `undefined`)]
+ */
+module.exports = function resolvePath(record, path)
+{
+	if (!isObject(record))
+	{
+		return {found: false};
+	}
+
+	if (Object.prototype.hasOwnProperty.call(record, path))
+	{
+		return {
+			found : true,
+			value : record[path]
+		};
+	}
+
+	const segments = path.split('.');
+	if (segments.length === 1)
+	{
+		return {found: false};
+	}
+
+	let value = record;
+	for (let i = 0; i < segments.length; i++)
+	{
+		if (!isObject(value) || !Object.prototype.hasOwnProperty.call(value, segments[i]))
+		{
+			return {found: false};
+		}
+		value = value[segments[i]];
+	}
+
+	return {
+		found : true,
+		value : value
+	};
+};
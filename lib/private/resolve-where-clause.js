@@ -0,0 +1,43 @@
+/**
+ * Module dependencies
+ */
+
+const each = require('lodash.foreach');
+const CLAUSES = require('./criteria-clauses');
+
+/**
+ * resolveWhereClause()
+ *
+ * Find the `where` clause of a criteria dictionary.
+ *
+ * If the criteria has no `where` clause, then any keys which are not recognized
+ * clauses are taken to be the `where` clause.  e.g. `{ name: 'Finn', limit: 1 }`
+ * is the same as `{ where: { name: 'Finn' }, limit: 1 }`.
+ *
+ * > This is the rule used by both `normalizeCriteria()` and `validateCriteria()`.
+ *
+ * @param  {Dictionary} criteria
+ *
+ * @returns {Dictionary?}
+ *          The `where` clause (or `undefined`, if there isn't one).
+ */
+module.exports = function resolveWhereClause(criteria)
+{
+
+	if (Object.prototype.hasOwnProperty.call(criteria, 'where'))
+	{
+		return criteria.where;
+	}
+
+	let where;
+	each(criteria, function(value, key)
+	{
+		if (!CLAUSES.includes(key))
+		{
+			where = where || {};
+			where[key] = value;
+		}
+	});
+	return where;
+
+};
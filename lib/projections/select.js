@@ -62,10 +62,7 @@ module.exports = function select(tuples, fields)
 		// Select the requested attributes of the tuple
 		if (hasSplat)
 		{
-			tuple = omit(tuple, function(value, attrName)
-			{
-				return fieldsToExplicitlyOmit.includes(attrName);
-			});
+			tuple = omit(tuple, fieldsToExplicitlyOmit);
 		}
 		else
 		{
@@ -2,26 +2,121 @@
  * Module dependencies
  */
 
+const util = require('util');
 const isString = require('lodash.isstring');
-const cloneDeep = require('lodash.clonedeep');
+const isObject = require('lodash.isobject');
+const isBoolean = require('lodash.isboolean');
+const isNumber = require('lodash.isnumber');
+const isDate = require('lodash.isdate');
+const isFunction = require('lodash.isfunction');
+const isUndefined = require('lodash.isundefined');
 const reduce = require('lodash.reduce');
+const normalizeSortClause = require('./private/normalize-sort-clause');
+const coerceToDeclaredType = require('./private/coerce-to-declared-type');
 const X_ISO_DATE = require('./X_ISO_DATE.constant');
 
 /**
  * Sort the tuples in `data` using `comparator`.
  *
+ * Values are coerced before they are compared, so that numeric strings
+ * sort numerically and dates (or ISO date strings) sort chronologically.
+ * If a `schema` is provided, the declared type of each attribute is used
+ * to decide how to coerce it; otherwise, the type is guessed from the value.
+ * When values of different types end up in the same column, booleans sort
+ * before numbers and dates, which sort before strings, which sort before
+ * anything else.
+ *
+ * Strings are compared by code unit (i.e. case-sensitively) unless a
+ * different `collation` is specified in `options`:
+ *  • `'binary'`  - compare by code unit (the default)
+ *  • `'nocase'`  - compare case-insensitively, like the `where` filter does
+ *  • `'natural'` - compare using the default locale, with embedded numbers
+ *                  compared numerically (e.g. `'file2'` before `'file10'`)
+ *  • a dictionary of `Intl.Collator` options, plus an optional `locale`
+ *    (e.g. `{ locale: 'sv', sensitivity: 'base', numeric: true }`)
+ *
+ * The sort is stable: tuples which tie on every sort key stay in the same
+ * order as in `data`.  To break ties using an attribute instead (so that the
+ * order doesn't depend on how `data` happens to be ordered), specify it as
+ * `options.tiebreaker`-- or `true`, to use the attribute declared with
+ * `primaryKey: true` in the schema.  The tiebreaker is sorted in ascending
+ * order, after all of the other sort keys.  Without a tiebreaker attribute
+ * (including when `true` is specified, but no primary key is declared), ties
+ * are broken by each tuple's original position instead: its index in `data`,
+ * or if the tuples were taken from a larger dataset, its index in that dataset,
+ * given as `options.positions` (one per tuple in `data`).
+ *
+ * If only the first few tuples are needed (e.g. for a `limit`), specify how
+ * many as `options.limit`.  The rest are then left out, without sorting them
+ * (which is much faster for a small `limit`).  The tuples which are returned
+ * are the same ones, in the same order, as if everything had been sorted.
+ *
+ * To page through the tuples from a known position (i.e. keyset pagination),
+ * specify the values of the sort keys at that position as `options.after` or
+ * `options.before`-- one value per key in the sort vector, including the
+ * tiebreaker or original position (see `resolveSortVector()`).  Only the tuples which come strictly
+ * after (or before) those values are returned.  With `before` and a `limit`,
+ * it is the last few tuples before the position which are returned (still in
+ * sorted order).
+ *
  * @param  { Dictionary[] }  data
- * @param  { Dictionary }    comparator
- * @param  { Function }    when
- * @return { Dictionary[] }
+ * @param  { String | Dictionary | Array }  comparator  [a `sort` clause, e.g. `'name DESC'`, `{ name: -1 }`, or `[{ name: 'DESC' }]`]
+ *                                                       (see `validateSortClause()` for all supported forms)
+ * @param  { Dictionary? }   schema  [e.g. `{ age: { type: 'number' } }`]
+ *                                   (for backwards compatibility, a `when` function may be passed here instead)
+ * @param  { Dictionary? }   options
+ *         @property { String | Dictionary? } collation
+ *         @property { String | Boolean? }    tiebreaker [an attribute to break ties with, or `true` for the primary key]
+ *         @property { Number? }              limit      [the number of tuples to return, at most]
+ *         @property { Number[]? }            positions  [the original position of each tuple in `data`, e.g. `[ 0, 3, 4 ]`]
+ *         @property { Array? }               after      [e.g. `[ 'Finn', 14 ]`]
+ *         @property { Array? }               before
+ * @return { Dictionary[] }  [a new array-- although the tuples themselves are not copied]
+ *
+ * @throws {Error} If `comparator` cannot be parsed.
+ *         @property {String} `code: 'E_SORT_CLAUSE_UNPARSEABLE'`
  */
-module.exports = function(data, comparator, when)
+module.exports = function(data, comparator, schema, options)
 {
 	if (!comparator || !data)
 	{
 		return data;
 	}
 
+	return sortPositions(data, comparator, schema, options).map(function(position)
+	{
+		return data[position];
+	});
+};
+
+/**
+ * sortPositions()
+ *
+ * Like `_sort()`, but instead of the sorted tuples, return the position
+ * of each tuple within `data`, in sorted order.
+ *
+ * > This lets the caller keep track of other information about each tuple
+ * > (e.g. its index in the original dataset) without modifying the tuples.
+ *
+ * @param  { Dictionary[] }  data
+ * @param  { String | Dictionary | Array }  comparator  [see above]
+ * @param  { Dictionary? }   schema
+ * @param  { Dictionary? }   options
+ * @return { Number[] }      [e.g. `[2, 0, 1]`]
+ *
+ * @throws {Error} If `comparator` cannot be parsed.
+ *         @property {String} `code: 'E_SORT_CLAUSE_UNPARSEABLE'`
+ */
+function sortPositions(data, comparator, schema, options)
+{
+
+	let when;
+	if (isFunction(schema))
+	{
+		when = schema;
+		schema = undefined;
+	}
+
 	// Equivalent to a SQL "WHEN"
 	when = when || function rankSpecialCase(record, attrName)
 	{
@@ -36,8 +131,65 @@ module.exports = function(data, comparator, when)
 
 	};
 
-	return sortData(cloneDeep(data), comparator, when);
-};
+	options = options || {};
+
+	schema = schema || {};
+	const limit = isUndefined(options.limit) ? data.length : options.limit;
+
+	const sortVector = resolveSortVector(comparator, schema, options);
+	const bound = findBound(options, sortVector);
+
+	return sortData(data, sortVector, when, schema, buildStringComparator(options.collation), limit, bound, options.positions);
+}
+
+module.exports.sortPositions = sortPositions;
+
+/**
+ * resolveSortVector()
+ *
+ * Work out the complete list of keys which tuples will be sorted by (given the
+ * same arguments as `_sort()`)-- i.e. the normalized `comparator`, followed by
+ * the tiebreaker if there is one, and it isn't already being sorted by.
+ *
+ * Without a tiebreaker attribute, the last key is each tuple's original position
+ * instead: `{ position: true, direction: 1 }`.  (Unless there's nothing else to
+ * sort by, in which case the vector is empty, since the tuples are already in
+ * their original order.)
+ *
+ * @param  { String | Dictionary | Array }  comparator
+ * @param  { Dictionary? }   schema
+ * @param  { Dictionary? }   options
+ * @return { Dictionary[] }  [e.g. `[ { attrName: 'name', direction: -1, nulls: 'last' }, { attrName: 'id', direction: 1 } ]`,
+ *                            or `[ { attrName: 'name', direction: -1, nulls: 'last' }, { position: true, direction: 1 } ]`]
+ *
+ * @throws {Error} If `comparator` cannot be parsed.
+ *         @property {String} `code: 'E_SORT_CLAUSE_UNPARSEABLE'`
+ */
+function resolveSortVector(comparator, schema, options)
+{
+	options = options || {};
+
+	const sortVector = normalizeSortClause(comparator);
+	const tiebreaker = findTiebreaker(options.tiebreaker, isFunction(schema) ? {} : schema || {});
+	if (tiebreaker && !sortVector.some(function(sortKey) {return sortKey.attrName === tiebreaker;}))
+	{
+		sortVector.push({
+			attrName  : tiebreaker,
+			direction : 1
+		});
+	}
+	else if (!tiebreaker && sortVector.length > 0)
+	{
+		sortVector.push({
+			position  : true,
+			direction : 1
+		});
+	}
+
+	return sortVector;
+}
+
+module.exports.resolveSortVector = resolveSortVector;
 
 // ////////////////////////
 // /
@@ -53,11 +205,19 @@ module.exports = function(data, comparator, when)
  * http://stackoverflow.com/a/4760279/909625
  *
  * @param  { Dictionary[] } data         [tuples]
- * @param  { Dictionary }   sortVector [mongo-style comparator Dictionary]
- * @return { Dictionary[] }
+ * @param  { Dictionary[] } sortVector   [e.g. `[ { attrName: 'name', direction: -1, nulls: 'last' } ]`]
+ * @param  { Function }     when
+ * @param  { Dictionary }   schema
+ * @param  { Function }     compareStrings
+ * @param  { Number }       limit        [the number of positions to return, at most]
+ * @param  { Dictionary? }  bound        [only include tuples on one side of these values]
+ *         @property { Array }    values  [one per sort key]
+ *         @property { Boolean }  before  [whether to include the tuples before `values`, rather than after them]
+ * @param  { Number[]? }    positions    [the original position of each tuple, if not its position in `data`]
+ * @return { Number[] }     [the position of each tuple in `data`, in sorted order]
  */
 
-function sortData(data, sortVector, when)
+function sortData(data, sortVector, when, schema, compareStrings, limit, bound, positions)
 {
 
 	// Constants
@@ -65,30 +225,73 @@ function sortData(data, sortVector, when)
 	const LESS_THAN = -1;
 	const EQUAL = 0;
 
-	return data.sort(function _compare(a, b)
+	/**
+	 * @param  { Dictionary } tuple
+	 * @param  { Number }     position          [the position of `tuple` in `data`]
+	 * @param  { Number }     originalPosition  [for the `position` sort key, if there is one]
+	 * @return { Dictionary }  [a decorated tuple]
+	 */
+	function decorate(tuple, position, originalPosition)
 	{
-		return reduce(sortVector, function(flagSoFar, sortDirection, attrName)
+		return {
+			position : position,
+			keys     : sortVector.map(function(sortKey)
+			{
+				if (sortKey.position)
+				{
+					return toComparable(originalPosition);
+				}
+				const attrName = sortKey.attrName;
+				if (!when(tuple, attrName))
+				{
+					return undefined;
+				}
+				return toComparable(tuple[attrName], schema[attrName] && schema[attrName].type);
+			})
+		};
+	}
+
+	// Coerce each tuple's values once up front, rather than on every comparison.
+	let decorated = data.map(function(tuple, position)
+	{
+		return decorate(tuple, position, positions ? positions[position] : position);
+	});
+
+	/**
+	 * @param  { Dictionary } a  [a decorated tuple]
+	 * @param  { Dictionary } b
+	 * @return { Number }        [-1, 0, or 1]
+	 */
+	function _compare(a, b)
+	{
+		return reduce(sortVector, function(flagSoFar, sortKey, i)
 		{
+			const sortDirection = sortKey.direction;
 
 			let outcome;
 
 			// Handle special cases (defined by WHEN):
-			let $a = when(a, attrName);
-			let $b = when(b, attrName);
+			const $a = a.keys[i];
+			const $b = b.keys[i];
 			if (!$a && !$b) outcome = EQUAL;
+
+			// If an explicit placement for nulls was specified,
+			// it applies regardless of the sort direction.
+			else if ((!$a || !$b) && sortKey.nulls)
+			{
+				const nullsFirst = sortKey.nulls === 'first' ? LESS_THAN : GREATER_THAN;
+				return flagSoFar || (!$a ? nullsFirst : -nullsFirst);
+			}
 			else if (!$a && $b) outcome = LESS_THAN;
 			else if ($a && !$b) outcome = GREATER_THAN;
 
 			// General case:
-			else
-			{
-				// Coerce types
-				$a = a[attrName];
-				$b = b[attrName];
-				if ($a < $b) outcome = LESS_THAN;
-				else if ($a > $b) outcome = GREATER_THAN;
-				else outcome = EQUAL;
-			}
+			// (rank by type first, then by value)
+			else if ($a.rank !== $b.rank) outcome = $a.rank < $b.rank ? LESS_THAN : GREATER_THAN;
+			else if (isString($a.value)) outcome = Math.sign(compareStrings($a.value, $b.value));
+			else if ($a.value < $b.value) outcome = LESS_THAN;
+			else if ($a.value > $b.value) outcome = GREATER_THAN;
+			else outcome = EQUAL;
 
 			// Less-Than case (-1)
 			// (leaves flagSoFar untouched if it has been set, otherwise sets it)
@@ -107,7 +310,355 @@ function sortData(data, sortVector, when)
 			return flagSoFar;
 
 		}, 0);// </reduce>
-	});// </data.sort()>
+	}
+
+	// Any remaining ties are broken by position, so that the sort is stable
+	// (whatever the JavaScript engine's own sort does).
+	/**
+	 * @param  { Dictionary } a  [a decorated tuple]
+	 * @param  { Dictionary } b
+	 * @return { Number }
+	 */
+	function _compareStably(a, b)
+	{
+		return _compare(a, b) || a.position - b.position;
+	}
+
+	/**
+	 * @param  { Dictionary } a  [a decorated tuple]
+	 * @param  { Dictionary } b
+	 * @return { Number }
+	 */
+	function _compareBackwards(a, b)
+	{
+		return _compareStably(b, a);
+	}
+
+	// If paging from a known position, leave out everything up to (and including) it.
+	// (The values at that position are decorated just like a tuple would be.)
+	if (bound)
+	{
+		const boundary = decorate(sortVector.reduce(function(tuple, sortKey, i)
+		{
+			if (!sortKey.position)
+			{
+				tuple[sortKey.attrName] = bound.values[i];
+			}
+			return tuple;
+		}, {}), -1, bound.values[sortVector.length - 1]);// (the original position is always the last key)
+		decorated = decorated.filter(function(item)
+		{
+			const outcome = _compare(item, boundary);
+			return bound.before ? outcome < 0 : outcome > 0;
+		});
+	}
+
+	// If only the first `limit` tuples are needed, don't bother sorting the rest.
+	// (Or when paging backwards, the last `limit` tuples-- i.e. the ones nearest the boundary.)
+	let sorted;
+	if (limit >= decorated.length)
+	{
+		sorted = decorated.sort(_compareStably);
+	}
+	else if (bound && bound.before)
+	{
+		sorted = selectFirst(decorated, limit, _compareBackwards).reverse();
+	}
+	else
+	{
+		sorted = selectFirst(decorated, limit, _compareStably);
+	}
+
+	return sorted.map(function(item)
+	{
+		return item.position;
+	});
+}
+
+/**
+ * Select the first `count` items according to `compare`, in order--
+ * without sorting the rest of them.
+ *
+ * > This keeps the first `count` items seen so far in a binary heap,
+ * > with the last of them on top, so that it takes O(n log count) time.
+ *
+ * @param  { Array }     items
+ * @param  { Number }    count
+ * @param  { Function }  compare  [must never consider two different items equal]
+ * @return { Array }
+ */
+function selectFirst(items, count, compare)
+{
+	const heap = [];
+	if (count <= 0)
+	{
+		return heap;
+	}
+
+	items.forEach(function(item)
+	{
+		if (heap.length < count)
+		{
+			heap.push(item);
+			siftUp(heap, heap.length - 1, compare);
+		}
+		else if (compare(item, heap[0]) < 0)
+		{
+			heap[0] = item;
+			siftDown(heap, 0, compare);
+		}
+	});
+
+	return heap.sort(compare);
+}
+
+/**
+ * Move the item at `i` up the heap, until it comes after its parent.
+ *
+ * @param  { Array }     heap
+ * @param  { Number }    i
+ * @param  { Function }  compare
+ */
+function siftUp(heap, i, compare)
+{
+	while (i > 0)
+	{
+		const parent = Math.floor((i - 1) / 2);
+		if (compare(heap[i], heap[parent]) < 0)
+		{
+			return;
+		}
+		swap(heap, i, parent);
+		i = parent;
+	}
+}
+
+/**
+ * Move the item at `i` down the heap, until it comes after both of its children.
+ *
+ * @param  { Array }     heap
+ * @param  { Number }    i
+ * @param  { Function }  compare
+ */
+function siftDown(heap, i, compare)
+{
+	for (;;)
+	{
+		let last = i;
+		const left = (2 * i) + 1;
+		const right = left + 1;
+		if (left < heap.length && compare(heap[left], heap[last]) > 0)
+		{
+			last = left;
+		}
+		if (right < heap.length && compare(heap[right], heap[last]) > 0)
+		{
+			last = right;
+		}
+		if (last === i)
+		{
+			return;
+		}
+		swap(heap, i, last);
+		i = last;
+	}
+}
+
+/**
+ * @param  { Array }   array
+ * @param  { Number }  i
+ * @param  { Number }  j
+ */
+function swap(array, i, j)
+{
+	const item = array[i];
+	array[i] = array[j];
+	array[j] = item;
+}
+
+/**
+ * Figure out which attribute (if any) to break ties with.
+ *
+ * @param  {String|Boolean?} tiebreaker  [an attribute name, or `true` for the primary key]
+ * @param  {Dictionary}      schema
+ * @return {String?}         [or `undefined` if ties should be broken by original position]
+ */
+function findTiebreaker(tiebreaker, schema)
+{
+	if (isUndefined(tiebreaker) || tiebreaker === null || tiebreaker === false)
+	{
+		return undefined;
+	}
+
+	// e.g. `{ id: { type: 'number', primaryKey: true } }`
+	// (If no primary key is declared, ties are broken by original position-- see `resolveSortVector()`.)
+	if (tiebreaker === true)
+	{
+		return Object.keys(schema).find(function(attrName)
+		{
+			return Boolean(schema[attrName] && schema[attrName].primaryKey);
+		});
+	}
+
+	if (!isString(tiebreaker) || tiebreaker === '')
+	{
+		throw new Error(`Unrecognized \`tiebreaker\`: \`${util.inspect(tiebreaker, {depth: null})}\`  (Expected an attribute name, or \`true\` to use the primary key.)`);
+	}
+
+	return tiebreaker;
+}
+
+/**
+ * Figure out which side of which values (if any) to include tuples from.
+ *
+ * @param  {Dictionary}   options     [with `after` or `before`]
+ * @param  {Dictionary[]} sortVector
+ * @return {Dictionary?}  [see `sortData()`]
+ */
+function findBound(options, sortVector)
+{
+	const hasAfter = !isUndefined(options.after) && options.after !== null;
+	const hasBefore = !isUndefined(options.before) && options.before !== null;
+	if (!hasAfter && !hasBefore)
+	{
+		return undefined;
+	}
+
+	if (hasAfter && hasBefore)
+	{
+		throw new Error('Cannot specify both `after` and `before`.  (Use one or the other.)');
+	}
+
+	const direction = hasAfter ? 'after' : 'before';
+	const values = options[direction];
+	if (!Array.isArray(values) || values.length !== sortVector.length || sortVector.length === 0)
+	{
+		const attrNames = sortVector.map(function(sortKey)
+		{
+			return sortKey.position ? 'the original position' : `\`${sortKey.attrName}\``;
+		}).join(', ');
+		throw new Error(`Unrecognized \`${direction}\`: \`${util.inspect(values, {depth: null})}\`  (Expected an array with one value for each key being sorted by: ${attrNames || '(none)'})`);
+	}
+
+	return {
+		values : values,
+		before : hasBefore
+	};
+}
+
+/**
+ * Build a function which compares two strings according to `collation`.
+ *
+ * @param  {String|Dictionary?} collation
+ * @return {Function}  [returns a negative number, zero, or a positive number]
+ */
+function buildStringComparator(collation)
+{
+	if (!collation || collation === 'binary')
+	{
+		return function compareBinary(a, b)
+		{
+			if (a < b) {return -1;}
+			if (a > b) {return 1;}
+			return 0;
+		};
+	}
+
+	if (collation === 'nocase')
+	{
+		return function compareNoCase(a, b)
+		{
+			a = a.toLowerCase();
+			b = b.toLowerCase();
+			if (a < b) {return -1;}
+			if (a > b) {return 1;}
+			return 0;
+		};
+	}
+
+	if (collation === 'natural')
+	{
+		return new Intl.Collator(undefined, {numeric: true}).compare;
+	}
+
+	if (isObject(collation) && !Array.isArray(collation))
+	{
+		const collatorOptions = Object.assign({}, collation);
+		delete collatorOptions.locale;
+		return new Intl.Collator(collation.locale, collatorOptions).compare;
+	}
+
+	throw new Error(`Unrecognized \`collation\`: \`${util.inspect(collation, {depth: null})}\`  (Expected \`'binary'\`, \`'nocase'\`, \`'natural'\`, or a dictionary of \`Intl.Collator\` options.)`);
+}
+
+/**
+ * Convert a value into something that can be compared with `<` and `>`
+ * against other values from the same column.
+ *
+ * @param  {???}     x
+ * @param  {String?} type  [the declared type of the attribute, if known]
+ * @return {Dictionary}
+ *         @property {Number} rank   [the relative order of this kind of value]
+ *         @property {???}    value  [a boolean, number, or string]
+ */
+function toComparable(x, type)
+{
+	x = coerceIntoDeclaredType(x, type);
+
+	// Dates are compared by timestamp.
+	if (isDate(x))
+	{
+		x = x.getTime();
+	}
+
+	if (isBoolean(x))
+	{
+		return {
+			rank  : 0,
+			value : x ? 1 : 0
+		};
+	}
+	if (isNumber(x) && !isNaN(x))
+	{
+		return {
+			rank  : 1,
+			value : x
+		};
+	}
+	if (isString(x))
+	{
+		return {
+			rank  : 2,
+			value : x
+		};
+	}
+
+	// Anything else (dictionaries, arrays, etc.) is compared by its JSON
+	// representation, just so that the order is at least deterministic.
+	return {
+		rank  : 3,
+		value : JSON.stringify(x)
+	};
+}
+
+/**
+ * Coerce a value to the attribute type declared in the schema.
+ * If no type was declared (or the value doesn't fit it), fall back to
+ * coercing it into its best guess type.
+ *
+ * @param  {???}     x
+ * @param  {String?} type
+ * @return {???}
+ */
+function coerceIntoDeclaredType(x, type)
+{
+	const coerced = coerceToDeclaredType(x, type);
+	if (coerced && coerced.coercible)
+	{
+		return coerced.value;
+	}
+
+	return coerceIntoBestGuessType(x);
 }
 
 /**
@@ -127,6 +678,16 @@ function coerceIntoBestGuessType(x)
 	}
 }
 
+/**
+ * Guess the intended type of a value.
+ *
+ * > Uses the same rules as the `where` filter: strings which parse as
+ * > finite numbers are numbers, and strings which look like ISO 8601
+ * > timestamps are dates.
+ *
+ * @param  {???} x
+ * @return {String}
+ */
 function guessType(x)
 {
 
@@ -142,7 +703,7 @@ function guessType(x)
 	}
 
 	// Probably meant to be a number
-	else if (Number(x) === x)
+	else if (x.trim() !== '' && isFinite(Number(x)))
 	{
 		return 'numberish';
 	}
@@ -0,0 +1,45 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const isObject = require('lodash.isobject');
+const isString = require('lodash.isstring');
+const isFunction = require('lodash.isfunction');
+
+/**
+ * getAttributeDefs()
+ *
+ * Look up the attribute definitions from a model definition.
+ *
+ * > For convenience, a dictionary of attribute definitions (i.e. the same
+ * > `schema` that is passed in to `query()`) may be provided instead.
+ *
+ * @param  {Dictionary} model
+ *         A model definition, e.g. `{ attributes: { age: { type: 'number' } } }`
+ *         (or just `{ age: { type: 'number' } }`).
+ *
+ * @returns {Dictionary}
+ *          The attribute definitions, keyed by attribute name.
+ *
+ * @throws {Error} If `model` is not a dictionary.
+ */
+module.exports = function getAttributeDefs(model)
+{
+
+	if (!isObject(model) || Array.isArray(model) || isFunction(model))
+	{
+		throw new Error(`Expected a model definition (a dictionary), but got: \`${util.inspect(model, {depth: null})}\``);
+	}
+
+	// A model definition has a dictionary of `attributes`.
+	// (If `attributes.type` is a string, then `attributes` is actually
+	// the definition of an attribute named "attributes".)
+	if (isObject(model.attributes) && !isString(model.attributes.type))
+	{
+		return model.attributes;
+	}
+
+	return model;
+
+};
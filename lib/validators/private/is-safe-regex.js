@@ -0,0 +1,457 @@
+/**
+ * Module dependencies
+ */
+
+const isUndefined = require('lodash.isundefined');
+
+// The most times a group which contains a repeated atom may itself be repeated
+// (e.g. `(\d+\.){3}` is fine, but `(.*a){25}` can take a very long time to fail).
+const MAX_NESTED_REPEATS = 3;
+
+// The most repeated atoms which may overlap in a row
+// (e.g. `\d+-\d+` is fine, but `a*a*a*a*a*b` can take a very long time to fail).
+const MAX_OVERLAPPING_RUN = 2;
+
+// The characters which are tried against two character classes (e.g. `\s` and `[a-z]`),
+// to see whether they overlap.  (Along with any characters in the classes themselves.)
+const SAMPLE_CHARACTERS = Array.from({length: 256}, function(unused, code)
+{
+	return String.fromCharCode(code);
+});
+
+/**
+ * isSafeRegex()
+ *
+ * Return whether or not the specified regular expression source looks safe
+ * from catastrophic backtracking.
+ *
+ * > This is a heuristic, not a proof.  It rejects the usual causes of slow
+ * > backtracking:
+ * > • nested quantifiers-- i.e. a group that contains a repeated atom and is
+ * >   itself repeated an unbounded number of times, like `(a+)+` or `(\w*\s?)*`
+ * >   (or more than a few times, like `(.*a){25}`)
+ * > • repeated groups with alternatives that may match the same character,
+ * >   like `(a|aa)+` or `(a|a)*`
+ * > • several unbounded quantifiers in a row which may match the same
+ * >   characters, like `a*a*a*b`
+ * > To stay on the safe side, anything it can't tell apart (e.g. two character
+ * > classes) is assumed to overlap.
+ *
+ * @param  {String} source
+ *         The source of a regular expression, e.g. `'^(ab)+$'`.
+ *
+ * @returns {Boolean}
+ *          False if the pattern looks prone to catastrophic backtracking; true otherwise.
+ */
+module.exports = function isSafeRegex(source)
+{
+
+	const parser = {
+		source : source,
+		i      : 0
+	};
+	const pattern = parseAlternatives(parser);
+
+	// (An unmatched `)` is left for the RegExp constructor to complain about.)
+	if (parser.i < source.length)
+	{
+		return true;
+	}
+
+	return isSafeAlternatives(pattern);
+
+};
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Parse alternatives (e.g. `a|bc`), up to the end of the enclosing group.
+ *
+ * @param  {Dictionary} parser  [the `source`, and the position `i` within it]
+ * @return {Array[]}    [one sequence of terms per alternative]
+ */
+function parseAlternatives(parser)
+{
+	const alternatives = [[]];
+	while (parser.i < parser.source.length && parser.source[parser.i] !== ')')
+	{
+		if (parser.source[parser.i] === '|')
+		{
+			parser.i++;
+			alternatives.push([]);
+			continue;
+		}
+		alternatives[alternatives.length - 1].push(parseTerm(parser));
+	}
+	return alternatives;
+}
+
+/**
+ * Parse a single atom, along with its quantifier (if any).
+ *
+ * @param  {Dictionary} parser
+ * @return {Dictionary}
+ *         @property {Dictionary}  atom        [`{ char }`, `{ set }`, `{ alternatives }`, or `{ assertion: true }`]
+ *         @property {Dictionary?} quantifier  [see `readQuantifier()`]
+ */
+function parseTerm(parser)
+{
+	const source = parser.source;
+	const start = parser.i;
+	const character = source[start];
+	let atom;
+
+	// Escaped characters are either literal (e.g. `\+`), or a class (e.g. `\d`).
+	if (character === '\\')
+	{
+		parser.i += 2;
+		const escaped = source[start + 1];
+		if ('bB'.includes(escaped)) {atom = {assertion: true};}
+		else if ((/[A-Za-z0-9]/).test(escaped)) {atom = {set: source.slice(start, parser.i)};}
+		else {atom = {char: escaped};}
+	}
+	// e.g. `[+*\]]`
+	else if (character === '[')
+	{
+		parser.i++;
+		while (parser.i < source.length && source[parser.i] !== ']')
+		{
+			parser.i += source[parser.i] === '\\' ? 2 : 1;
+		}
+		parser.i++;
+		atom = {set: source.slice(start, parser.i)};
+	}
+	else if (character === '(')
+	{
+		parser.i++;
+
+		// Lookarounds (e.g. `(?=a)`) match no characters of their own.
+		const prefix = source.slice(parser.i).match(/^\?(?::|=|!|<=|<!|<[^>]*>)/);
+		const isLookaround = Boolean(prefix) && ['?=', '?!', '?<=', '?<!'].includes(prefix[0]);
+		parser.i += prefix ? prefix[0].length : 0;
+
+		const alternatives = parseAlternatives(parser);
+		parser.i++;
+		atom = {
+			assertion    : isLookaround,
+			alternatives : alternatives
+		};
+	}
+	else if (character === '^' || character === '$')
+	{
+		parser.i++;
+		atom = {assertion: true};
+	}
+	else if (character === '.')
+	{
+		parser.i++;
+		atom = {set: '.'};
+	}
+	else
+	{
+		parser.i++;
+		atom = {char: character};
+	}
+
+	const quantifier = readQuantifier(source, parser.i);
+	if (quantifier)
+	{
+		parser.i += quantifier.length;
+	}
+
+	return {
+		atom       : atom,
+		quantifier : quantifier
+	};
+}
+
+/**
+ * Read the quantifier (if any) at position `i` of `source`.
+ *
+ * @param  {String} source
+ * @param  {Number} i
+ * @return {Dictionary?}
+ *         @property {Number}  length     [the number of characters in the quantifier, including any lazy `?`]
+ *         @property {Boolean} optional   [whether the quantifier allows no repetitions at all]
+ *         @property {Boolean} repeats    [whether the quantifier allows more than one repetition]
+ *         @property {Boolean} unbounded  [whether the quantifier allows any number of repetitions]
+ *         @property {Number}  max        [the most repetitions allowed (`Infinity` if unbounded)]
+ */
+function readQuantifier(source, i)
+{
+	let quantifier;
+
+	const character = source[i];
+	if (character === '*' || character === '+')
+	{
+		quantifier = {
+			length    : 1,
+			optional  : character === '*',
+			repeats   : true,
+			unbounded : true,
+			max       : Infinity
+		};
+	}
+	else if (character === '?')
+	{
+		quantifier = {
+			length    : 1,
+			optional  : true,
+			repeats   : false,
+			unbounded : false,
+			max       : 1
+		};
+	}
+	else if (character === '{')
+	{
+		// e.g. `{3}`, `{2,}`, or `{2,5}`
+		const range = source.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+		if (!range)
+		{
+			return undefined;
+		}
+		const unbounded = Boolean(range[2]) && range[3] === '';
+		const max = unbounded ? Infinity : Number(range[2] ? range[3] : range[1]);
+		quantifier = {
+			length    : range[0].length,
+			optional  : Number(range[1]) === 0,
+			repeats   : max > 1,
+			unbounded : unbounded,
+			max       : max
+		};
+	}
+	else
+	{
+		return undefined;
+	}
+
+	// Lazy quantifiers (e.g. `+?`) repeat just the same.
+	if (source[i + quantifier.length] === '?')
+	{
+		quantifier.length++;
+	}
+
+	return quantifier;
+}
+
+/**
+ * Check each of the alternatives (and everything nested within them).
+ *
+ * @param  {Array[]} alternatives
+ * @return {Boolean}
+ */
+function isSafeAlternatives(alternatives)
+{
+	return alternatives.every(function(terms)
+	{
+		// Look for a run of repeated atoms which may overlap.
+		let run = 0;
+		for (let i = 0; i < terms.length; i++)
+		{
+			const term = terms[i];
+			const previous = terms[i - 1];
+			const isUnbounded = Boolean(term.quantifier) && term.quantifier.unbounded;
+			if (!isUnbounded)
+			{
+				run = 0;
+			}
+			else if (run > 0 && mayOverlap(termAtoms(previous), termAtoms(term)))
+			{
+				run++;
+			}
+			else
+			{
+				run = 1;
+			}
+			if (run > MAX_OVERLAPPING_RUN || !isSafeTerm(term))
+			{
+				return false;
+			}
+		}
+		return true;
+	});
+}
+
+/**
+ * Check a single term (and everything nested within it).
+ *
+ * @param  {Dictionary} term  [see `parseTerm()`]
+ * @return {Boolean}
+ */
+function isSafeTerm(term)
+{
+	const alternatives = term.atom.alternatives;
+	if (!alternatives)
+	{
+		return true;
+	}
+
+	if (term.quantifier && term.quantifier.repeats)
+	{
+		// A group which contains a repeated atom, and which is itself repeated
+		// an unbounded number of times (or more than a few), can backtrack exponentially.
+		if (hasRepeats(alternatives) && term.quantifier.max > MAX_NESTED_REPEATS)
+		{
+			return false;
+		}
+
+		// So can a repeated group whose alternatives may match the same characters.
+		for (let i = 0; i < alternatives.length; i++)
+		{
+			for (let j = i + 1; j < alternatives.length; j++)
+			{
+				if (mayOverlap(firstAtoms(alternatives[i]), firstAtoms(alternatives[j])))
+				{
+					return false;
+				}
+			}
+		}
+	}
+
+	return isSafeAlternatives(alternatives);
+}
+
+/**
+ * Whether any atom within these alternatives may be repeated.
+ *
+ * @param  {Array[]} alternatives
+ * @return {Boolean}
+ */
+function hasRepeats(alternatives)
+{
+	return alternatives.some(function(terms)
+	{
+		return terms.some(function(term)
+		{
+			return (Boolean(term.quantifier) && term.quantifier.repeats) ||
+				(Boolean(term.atom.alternatives) && hasRepeats(term.atom.alternatives));
+		});
+	});
+}
+
+/**
+ * The atoms which may match the first character matched by a sequence of terms.
+ *
+ * @param  {Dictionary[]} terms
+ * @return {Dictionary[]?}  [`undefined` if it could be anything-- e.g. if the sequence may match nothing at all]
+ */
+function firstAtoms(terms)
+{
+	const atoms = [];
+	for (let i = 0; i < terms.length; i++)
+	{
+		const term = terms[i];
+		if (term.atom.assertion)
+		{
+			continue;
+		}
+
+		const nested = termAtoms(term);
+		if (!nested)
+		{
+			return undefined;
+		}
+		atoms.push(...nested);
+
+		// If this term may be skipped, the next one could come first instead.
+		if (!term.quantifier || !term.quantifier.optional)
+		{
+			return atoms;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * The atoms which may match the first character matched by a single term.
+ * (regardless of its quantifier)
+ *
+ * @param  {Dictionary} term
+ * @return {Dictionary[]?}  [`undefined` if it could be anything]
+ */
+function termAtoms(term)
+{
+	if (term.atom.assertion)
+	{
+		return [];
+	}
+	if (!term.atom.alternatives)
+	{
+		return [term.atom];
+	}
+
+	const atoms = [];
+	for (let i = 0; i < term.atom.alternatives.length; i++)
+	{
+		const nested = firstAtoms(term.atom.alternatives[i]);
+		if (!nested)
+		{
+			return undefined;
+		}
+		atoms.push(...nested);
+	}
+	return atoms;
+}
+
+/**
+ * Whether any of the atoms in `a` may match the same character as any of the atoms in `b`.
+ *
+ * @param  {Dictionary[]?} a  [see `firstAtoms()`]
+ * @param  {Dictionary[]?} b
+ * @return {Boolean}
+ */
+function mayOverlap(a, b)
+{
+	if (!a || !b)
+	{
+		return true;
+	}
+
+	return a.some(function(x)
+	{
+		return b.some(function(y)
+		{
+			// A literal character overlaps with anything that matches it.
+			// (Two classes are compared by trying a sample of characters against both.)
+			let chars = SAMPLE_CHARACTERS.concat(Array.from(`${x.set}${y.set}`));
+			if (!isUndefined(x.char) || !isUndefined(y.char))
+			{
+				chars = [isUndefined(x.char) ? y.char : x.char];
+			}
+			return chars.some(function(char)
+			{
+				return matchesAtom(x, char) && matchesAtom(y, char);
+			});
+		});
+	});
+}
+
+/**
+ * Whether `atom` may match `char`.
+ *
+ * @param  {Dictionary} atom  [`{ char }` or `{ set }`]
+ * @param  {String}     char
+ * @return {Boolean}
+ */
+function matchesAtom(atom, char)
+{
+	if (!isUndefined(atom.char))
+	{
+		return atom.char.toLowerCase() === char.toLowerCase();
+	}
+
+	// (If the class can't be compiled on its own, assume the worst.)
+	try
+	{
+		return new RegExp(atom.set, 'i').test(char);
+	}
+	catch (e)
+	{
+		return true;
+	}
+}
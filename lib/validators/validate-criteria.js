@@ -0,0 +1,242 @@
+/**
+ * Module dependencies
+ */
+
+const util = require('util');
+const flaverr = require('flaverr');
+const isUndefined = require('lodash.isundefined');
+const isString = require('lodash.isstring');
+const isBoolean = require('lodash.isboolean');
+const isObject = require('lodash.isobject');
+const isFunction = require('lodash.isfunction');
+const each = require('lodash.foreach');
+const validateWhereClause = require('./validate-where-clause');
+const validateSortClause = require('./validate-sort-clause');
+const parseNonNegativeInteger = require('../private/parse-non-negative-integer');
+const resolveWhereClause = require('../private/resolve-where-clause');
+const CLAUSES = require('../private/criteria-clauses');
+const AGGREGATION_CLAUSES = require('../private/aggregation-clauses');
+
+// A prefix string to use at the beginning of error messages
+// relating to this criteria being unparseable.
+const E_CRITERIA_UNPARSEABLE_MSG_PREFIX =
+'Could not parse the provided criteria.  Refer to the Sails documentation ' +
+'for up-to-date info on supported query language syntax:\n' +
+'(http://sailsjs.com/documentation/concepts/models-and-orm/query-language)\n' +
+'Details: ';
+
+/**
+ * validateCriteria()
+ *
+ * Check every clause of a criteria for obviously unsupported usage.
+ *
+ * • `where` and `sort` are checked using `validateWhereClause()` and `validateSortClause()`
+ * • `limit` and `skip` must be non-negative integers
+ * • `select` must be `'*'`, an array of attribute names, or a dictionary
+ * • `omit` must be an array of attribute names (and cannot be combined with `select`, other than `'*'` or `['*']`)
+ * • `joins` must be an array of dictionaries
+ * • `groupBy`, `sum`, `average`, `min`, and `max` must be attribute names, or arrays of them
+ * • `count` must be a boolean
+ *
+ * As in `normalizeCriteria()`, if there is no `where` clause, then any other
+ * top-level keys are taken to be the `where` clause (e.g. `{ name: 'x', limit: 2 }`).
+ * But if there is a `where` clause, any other top-level key is rejected-- including
+ * attribute names which were meant to be nested inside of it (e.g. `{ where: {}, name: 'x' }`).
+ *
+ * @param  {Dictionary} criteria
+ *         A hypothetically well-formed Waterline criteria.
+ *
+ * @param  {Dictionary?} model
+ *         A model definition (or just its attribute definitions), to check
+ *         the `where` and `sort` clauses against.
+ *
+ * @throws {Error} If the criteria cannot be parsed.
+ *         @property {String} `code: 'E_CRITERIA_UNPARSEABLE'`
+ *         @property {String} `clause`  [the name of the offending clause, e.g. `'limit'`]
+ *
+ * @throws {Error} If a model definition was provided, and the criteria does not fit it.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`, `'E_MODIFIER_NOT_SUPPORTED'`, or `'E_ATTRIBUTE_NOT_SORTABLE'`
+ *         (see `validateWhereClause()` and `validateSortClause()`)
+ */
+module.exports = function validateCriteria(criteria, model)
+{
+
+	if (isUndefined(criteria))
+	{
+		throw new Error('Cannot call validateCriteria() when `criteria` is undefined.');
+	}
+
+	if (!isDictionary(criteria))
+	{
+		throw flaverr('E_CRITERIA_UNPARSEABLE', new Error(`${E_CRITERIA_UNPARSEABLE_MSG_PREFIX}Expected the criteria to be a dictionary, but got: \`${util.inspect(criteria, {depth: null})}\``));
+	}
+
+	// Check for unrecognized (or mis-nested) keys.
+	// (Without a `where` clause, these are the `where` clause-- see `resolveWhereClause()`.)
+	if (Object.prototype.hasOwnProperty.call(criteria, 'where'))
+	{
+		each(criteria, function(value, key)
+		{
+			if (!CLAUSES.includes(key))
+			{
+				throw clauseError(key, `Unrecognized key (\`${key}\`) in criteria.  (If \`${key}\` is an attribute, then it should be inside of the \`where\` clause-- e.g. \`{ where: { ${key}: ... } }\`.)`);
+			}
+		});
+	}
+
+	// Now check each clause.
+	const where = resolveWhereClause(criteria);
+	if (!isUndefined(where) && where !== null)
+	{
+		rethrowAsClauseError('where', 'E_WHERE_CLAUSE_UNPARSEABLE', function()
+		{
+			validateWhereClause(where, model);
+		});
+	}
+
+	if (!isUndefined(criteria.sort))
+	{
+		rethrowAsClauseError('sort', 'E_SORT_CLAUSE_UNPARSEABLE', function()
+		{
+			validateSortClause(criteria.sort, model);
+		});
+	}
+
+	each(['limit', 'skip'], function(clause)
+	{
+		const value = criteria[clause];
+		if (!isUndefined(value) && value !== null && isUndefined(parseNonNegativeInteger(value)))
+		{
+			throw clauseError(clause, `Expected \`${clause}\` to be a non-negative integer, but got: \`${util.inspect(value, {depth: null})}\``);
+		}
+	});
+
+	if (!isUndefined(criteria.select))
+	{
+		const select = criteria.select;
+		if (select !== '*' && !isDictionary(select) && !isArrayOfAttrNames(select))
+		{
+			throw clauseError('select', `Expected \`select\` to be \`'*'\`, an array of attribute names, or a dictionary, but got: \`${util.inspect(select, {depth: null})}\``);
+		}
+	}
+
+	if (!isUndefined(criteria.omit))
+	{
+		if (!isArrayOfAttrNames(criteria.omit))
+		{
+			throw clauseError('omit', `Expected \`omit\` to be an array of attribute names, but got: \`${util.inspect(criteria.omit, {depth: null})}\``);
+		}
+		if (!isUndefined(criteria.select) && criteria.select !== '*' && !(Array.isArray(criteria.select) && criteria.select.length === 1 && criteria.select[0] === '*'))
+		{
+			throw clauseError('omit', '`omit` cannot be used together with `select`.  (Use one or the other.)');
+		}
+	}
+
+	if (!isUndefined(criteria.joins))
+	{
+		if (!Array.isArray(criteria.joins) || !criteria.joins.every(isDictionary))
+		{
+			throw clauseError('joins', `Expected \`joins\` to be an array of join instructions (dictionaries), but got: \`${util.inspect(criteria.joins, {depth: null})}\``);
+		}
+	}
+
+	if (!isUndefined(criteria.groupBy))
+	{
+		const groupBy = criteria.groupBy;
+		if (!isAttrName(groupBy) && !(isArrayOfAttrNames(groupBy) && groupBy.length > 0))
+		{
+			throw clauseError('groupBy', `Expected \`groupBy\` to be an attribute name, or a non-empty array of attribute names, but got: \`${util.inspect(groupBy, {depth: null})}\``);
+		}
+	}
+
+	each(AGGREGATION_CLAUSES, function(clause)
+	{
+		const value = criteria[clause];
+		if (!isUndefined(value) && !isAttrName(value) && !isArrayOfAttrNames(value))
+		{
+			throw clauseError(clause, `Expected \`${clause}\` to be an attribute name, or an array of attribute names, but got: \`${util.inspect(value, {depth: null})}\``);
+		}
+	});
+
+	if (!isUndefined(criteria.count) && !isBoolean(criteria.count))
+	{
+		throw clauseError('count', `Expected \`count\` to be a boolean, but got: \`${util.inspect(criteria.count, {depth: null})}\``);
+	}
+
+};
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Build an error about a particular clause of the criteria.
+ *
+ * @param  {String} clause   [e.g. `'limit'`]
+ * @param  {String} details
+ * @return {Error}
+ */
+function clauseError(clause, details)
+{
+	return flaverr({
+		code   : 'E_CRITERIA_UNPARSEABLE',
+		clause : clause
+	}, new Error(`${E_CRITERIA_UNPARSEABLE_MSG_PREFIX}Invalid \`${clause}\` clause.  ${details}`));
+}
+
+/**
+ * Run `validate`, and if it throws an error with code `code`,
+ * rethrow it as an error about `clause`.
+ *
+ * @param  {String}   clause
+ * @param  {String}   code      [e.g. `'E_WHERE_CLAUSE_UNPARSEABLE'`]
+ * @param  {Function} validate
+ */
+function rethrowAsClauseError(clause, code, validate)
+{
+	try
+	{
+		validate();
+	}
+	catch (e)
+	{
+		if (e.code === code)
+		{
+			// (Strip the original preamble, so that the link to the docs isn't repeated.)
+			const preambleEnd = e.message.indexOf('Details: ');
+			const details = preambleEnd === -1 ? e.message : e.message.slice(preambleEnd + 'Details: '.length);
+			throw clauseError(clause, details);
+		}
+		throw e;
+	}
+}
+
+/**
+ * @param  {???} value
+ * @return {Boolean}
+ */
+function isDictionary(value)
+{
+	return isObject(value) && !Array.isArray(value) && !isFunction(value);
+}
+
+/**
+ * @param  {???} value
+ * @return {Boolean}
+ */
+function isAttrName(value)
+{
+	return isString(value) && value !== '';
+}
+
+/**
+ * @param  {???} value
+ * @return {Boolean}
+ */
+function isArrayOfAttrNames(value)
+{
+	return Array.isArray(value) && value.every(isAttrName);
+}
@@ -9,6 +9,9 @@ const isUndefined = require('lodash.isundefined');
 const isString = require('lodash.isstring');
 const isObject = require('lodash.isobject');
 const isFunction = require('lodash.isfunction');
+const each = require('lodash.foreach');
+const X_SORT_STRING = require('../X_SORT_STRING.constant');
+const getAttributeDefs = require('./private/get-attribute-defs');
 
 // A prefix string to use at the beginning of error messages
 // relating to this `sort` clause being unparseable.
@@ -18,24 +21,74 @@ const E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX =
 '(http://sailsjs.com/documentation/concepts/models-and-orm/query-language)\n' +
 'Details: ';
 
+// The sort directions that may be used for each attribute.
+// (String directions are case-insensitive.)
+const SORT_DIRECTIONS = [
+	'ASC', 'DESC',
+	1, -1
+];
+
+// Declared attribute types which cannot be sorted by
+const UNSORTABLE_TYPES = [
+	'json'
+];
+
+// Where null and undefined values may be placed, regardless of sort direction.
+// (Case-insensitive.)
+const NULLS_PLACEMENTS = [
+	'FIRST', 'LAST'
+];
+
 /**
  * validateSortClause()
  *
  * Check the `SORT` clause for obviously unsupported usage.
  *
- * This does not do any schema-aware validation-- its job is merely
+ * Unless a model definition is provided, this does not do any
+ * schema-aware validation-- its job is merely
  * to check for structural issues, and to provide a better experience
  * when integrating from userland code.
  *
- * @param  {String|Dictionary} sort
+ * The following forms are supported:
+ * ```
+ * 'name'
+ * 'name DESC'
+ * 'name DESC, age ASC'
+ * 'name DESC NULLS LAST'
+ * { name: 'DESC', age: 1 }
+ * { name: { direction: 'DESC', nulls: 'last' } }
+ * [{ name: 'DESC' }, { age: 1 }]
+ * ['name DESC', 'age']
+ * ```
+ *
+ * By default, null and undefined values rank lower than everything else
+ * (i.e. they come first when sorting in ascending order, and last when
+ * sorting in descending order).  Specifying `nulls: 'first'` or `'last'`
+ * for an attribute places them there regardless of direction.
+ *
+ * If a model definition is provided, the `sort` clause is also checked
+ * against it: every attribute must be defined in the model, and `json`
+ * attributes cannot be sorted by.
+ *
+ * @param  {String|Dictionary|Array} sort
  *         A hypothetically well-formed `sort` clause from
  *         a Waterline criteria.
  *
+ * @param  {Dictionary?} model
+ *         A model definition (e.g. `{ attributes: { age: { type: 'number' } } }`),
+ *         or just its attribute definitions.
+ *
  * @throws {Error} If SORT clause cannot be parsed.
  *         @property {String} `code: 'E_SORT_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If SORT clause refers to an attribute which is not in the model.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`
+ *
+ * @throws {Error} If SORT clause refers to an attribute which cannot be sorted by.
+ *         @property {String} `code: 'E_ATTRIBUTE_NOT_SORTABLE'`
  */
 
-module.exports = function validateSortClause(sort)
+module.exports = function validateSortClause(sort, model)
 {
 
 	if (isUndefined(sort))
@@ -50,13 +103,45 @@ module.exports = function validateSortClause(sort)
 		{
 			throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}If \`sort\` is specified as a string, it must not be the empty string ("")!`));
 		}
-		// FUTURE: more strict validations
+
+		// e.g. `'name DESC, age ASC'`
+		each(sort.split(','), function(segment)
+		{
+			validateSortString(segment, sort);
+		});
 
 	}
 	else if (Array.isArray(sort))
 	{
 
-		throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected \`sort\` to be a string or dictionary, but instead got an array: \`${util.inspect(sort, {depth: null})}\`  Arrays are not allowed in the current version of Waterline query language. (However, note that arrays _are_ a valid way to indicate \`sort\` preferences when building lower-level prepared statements in Sails >= v1.0)`));
+		// If the array is empty, then this is a bit strange.
+		// e.g. `{ sort: [] }`
+		if (sort.length === 0)
+		{
+			// ...but technically allowed-- so we'll tolerate it.
+		}
+
+		// Each item must be either a string like `'name DESC'`,
+		// or a dictionary with exactly one key like `{ name: 'DESC' }`.
+		each(sort, function(item)
+		{
+			if (isString(item))
+			{
+				validateSortString(item, sort);
+			}
+			else if (isObject(item) && !Array.isArray(item) && !isFunction(item))
+			{
+				if (Object.keys(item).length !== 1)
+				{
+					throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Each dictionary in a \`sort\` array should have exactly one key (the attribute name), but instead got: \`${util.inspect(item, {depth: null})}\`  (To sort by more than one attribute, use a separate dictionary for each one.)`));
+				}
+				each(item, validateSortDirection);
+			}
+			else
+			{
+				throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected each item in a \`sort\` array to be a string (e.g. \`'name DESC'\`) or a dictionary (e.g. \`{ name: 'DESC' }\`), but instead got: \`${util.inspect(item, {depth: null})}\``));
+			}
+		});
 
 	}
 	else if (isObject(sort) && !Array.isArray(sort) && !isFunction(sort))
@@ -69,12 +154,130 @@ module.exports = function validateSortClause(sort)
 			// ...but technically allowed-- so we'll tolerate it.
 		}
 
-		// FUTURE: more strict validations
+		each(sort, validateSortDirection);
 
 	}
 	else
 	{
-		throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected \`sort\` to be a string or dictionary, but instead got: \`${util.inspect(sort, {depth: null})}\``));
+		throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected \`sort\` to be a string, dictionary, or array, but instead got: \`${util.inspect(sort, {depth: null})}\``));
+	}
+
+	// If a model definition was provided, check each attribute against it.
+	if (!isUndefined(model))
+	{
+		const attributes = getAttributeDefs(model);
+		each(getSortAttrNames(sort), function(attrName)
+		{
+			validateSortAttribute(attrName, attributes);
+		});
 	}
 
 };
+
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Check a single segment of a string `sort` clause, like `'name DESC'`
+ * or `'name DESC NULLS LAST'`.
+ *
+ * @param  {String} segment
+ * @param  {String|Array} sort  [the whole `sort` clause, for use in error messages]
+ */
+function validateSortString(segment, sort)
+{
+	if (!segment.match(X_SORT_STRING))
+	{
+		throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Could not parse \`${segment}\` in \`sort\`: \`${util.inspect(sort, {depth: null})}\`  (When \`sort\` is specified as a string, it should be an attribute name, optionally followed by \`ASC\` or \`DESC\` and then \`NULLS FIRST\` or \`NULLS LAST\`-- e.g. \`'name DESC NULLS LAST'\`.  Separate multiple attributes with commas.)`));
+	}
+}
+
+/**
+ * Check the sort direction provided for an attribute, like `{ name: 'DESC' }`
+ * or `{ name: { direction: 'DESC', nulls: 'last' } }`.
+ *
+ * @param  {???}    direction
+ * @param  {String} attrName
+ */
+function validateSortDirection(direction, attrName)
+{
+	if (isObject(direction) && !Array.isArray(direction) && !isFunction(direction))
+	{
+		each(direction, function(value, key)
+		{
+			if (key === 'direction')
+			{
+				// (No nesting allowed.)
+				if (isObject(value))
+				{
+					throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`direction\` for \`${attrName}\`: \`${util.inspect(value, {depth: null})}\`  (Sort directions should be \`'ASC'\`, \`'DESC'\`, \`1\`, or \`-1\`.)`));
+				}
+				validateSortDirection(value, attrName);
+			}
+			else if (key === 'nulls')
+			{
+				if (!isString(value) || !NULLS_PLACEMENTS.includes(value.toUpperCase()))
+				{
+					throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`nulls\` for \`${attrName}\`: \`${util.inspect(value, {depth: null})}\`  (\`nulls\` should be either \`'first'\` or \`'last'\`.)`));
+				}
+			}
+			else
+			{
+				throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unrecognized key (\`${key}\`) in the sort options for \`${attrName}\`.  (Only \`direction\` and \`nulls\` are supported.)`));
+			}
+		});
+		return;
+	}
+
+	const normalized = isString(direction) ? direction.toUpperCase() : direction;
+	if (!SORT_DIRECTIONS.includes(normalized))
+	{
+		throw flaverr('E_SORT_CLAUSE_UNPARSEABLE', new Error(`${E_SORT_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected sort direction for \`${attrName}\`: \`${util.inspect(direction, {depth: null})}\`  (Sort directions should be \`'ASC'\`, \`'DESC'\`, \`1\`, or \`-1\`-- or a dictionary like \`{ direction: 'DESC', nulls: 'last' }\`.)`));
+	}
+}
+
+/**
+ * Get the name of each attribute in a (valid) `sort` clause.
+ *
+ * @param  {String|Dictionary|Array} sort
+ * @return {String[]}
+ */
+function getSortAttrNames(sort)
+{
+	if (isString(sort))
+	{
+		return sort.split(',').map(function(segment)
+		{
+			return segment.match(X_SORT_STRING)[1];
+		});
+	}
+	if (Array.isArray(sort))
+	{
+		return [].concat(...sort.map(getSortAttrNames));
+	}
+	return Object.keys(sort);
+}
+
+/**
+ * Check that an attribute in the `sort` clause exists in the model, and can be sorted by.
+ *
+ * @param  {String}     attrName
+ * @param  {Dictionary} attributes  [the attribute definitions from the model]
+ */
+function validateSortAttribute(attrName, attributes)
+{
+	if (!Object.prototype.hasOwnProperty.call(attributes, attrName))
+	{
+		throw flaverr('E_UNKNOWN_ATTRIBUTE', new Error(`Unknown attribute (\`${attrName}\`) in \`sort\` clause.  (There is no attribute by that name in the model definition.)`));
+	}
+
+	const type = attributes[attrName] && attributes[attrName].type;
+	if (UNSORTABLE_TYPES.includes(type))
+	{
+		throw flaverr('E_ATTRIBUTE_NOT_SORTABLE', new Error(`Cannot sort by \`${attrName}\`, because it is declared as a \`${type}\` attribute.`));
+	}
+}
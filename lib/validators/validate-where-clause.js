@@ -5,6 +5,8 @@
 const util = require('util');
 const flaverr = require('flaverr');
 const isEqFilter = require('./private/is-eq-filter');
+const isSafeRegex = require('./private/is-safe-regex');
+const getAttributeDefs = require('./private/get-attribute-defs');
 const isUndefined = require('lodash.isundefined');
 const isString = require('lodash.isstring');
 const isBoolean = require('lodash.isboolean');
@@ -12,6 +14,9 @@ const isNumber = require('lodash.isnumber');
 const each = require('lodash.foreach');
 const isObject = require('lodash.isobject');
 const isFunction = require('lodash.isfunction');
+const isRegExp = require('lodash.isregexp');
+const isDate = require('lodash.isdate');
+const X_SEARCH_FLAGS = require('../X_SEARCH_FLAGS.constant');
 
 // A prefix string to use at the beginning of error messages
 // relating to this `where` clause being unparseable.
@@ -30,7 +35,19 @@ const PREDICATE_OPERATORS = [
 // "Not in" operators
 // (these overlap with sub-attr modifiers-- see below)
 const NIN_OPERATORS = [
-	'!', 'not'
+	'!', 'not', '!='
+];
+
+// Explicit equality operators
+// (these overlap with sub-attr modifiers-- see below)
+const EQ_OPERATORS = [
+	'=', 'equals', 'equal'
+];
+
+// "In" and "not in" modifiers, which always take an array
+// (these overlap with sub-attr modifiers-- see below)
+const IN_MODIFIERS = [
+	'in', 'nin'
 ];
 
 // Sub-attribute modifiers
@@ -40,14 +57,28 @@ const SUB_ATTR_MODIFIERS = [
 	'>', 'greaterThan',
 	'>=', 'greaterThanOrEqual',
 
-	'!', 'not', // << these overlap with `not in` operators
+	'=', 'equals', 'equal', // << these are the same as a plain equality filter
+
+	'!', 'not', '!=', // << these overlap with `not in` operators
+
+	'in', 'nin', // << these always take an array
 
 	// The following sub-attribute modifiers also have another,
 	// more narrow classification: string search modifiers.
 	'like',
 	'contains',
 	'startsWith',
-	'endsWith'
+	'endsWith',
+
+	'regex', // << this takes a RegExp or a `{ pattern, flags }` dictionary
+
+	// The following sub-attribute modifiers also have another,
+	// more narrow classification: array membership modifiers.
+	'has',
+	'hasAll',
+	'hasAny',
+	'size',
+	'elemMatch'
 ];
 
 // String search modifiers
@@ -59,23 +90,147 @@ const STRING_SEARCH_MODIFIERS = [
 	'endsWith'
 ];
 
+// The flags which may be used in the `{ pattern, flags }` form of a `regex` modifier
+// (`g` and `y` are not allowed, since they make regular expressions stateful).
+const REGEX_FLAGS = [
+	'i',
+	'm',
+	's',
+	'u'
+];
+
+// Options which may be specified alongside a string search modifier
+// e.g. `{ contains: 'abc', caseSensitive: true }`
+const SEARCH_OPTIONS = [
+	'caseSensitive',
+	'flags',
+	'escape' // << only for `like`
+];
+
+// Array membership modifiers
+// (these overlap with sub-attr modifiers-- see above)
+const ARRAY_MEMBERSHIP_MODIFIERS = [
+	'has',
+	'hasAll',
+	'hasAny',
+	'size',
+	'elemMatch'
+];
+
+// Modifiers which compare the order of values
+const ORDERING_MODIFIERS = [
+	'<', 'lessThan',
+	'<=', 'lessThanOrEqual',
+	'>', 'greaterThan',
+	'>=', 'greaterThanOrEqual'
+];
+
+// Declared attribute types which cannot be searched like strings
+// (i.e. with string search modifiers, or `regex`)
+const NON_STRING_TYPES = [
+	'number', 'integer', 'float',
+	'boolean',
+	'date', 'datetime', 'timestamp'
+];
+
+// Declared attribute types which have no meaningful order
+const UNORDERED_TYPES = [
+	'boolean',
+	'json'
+];
+
+// Declared attribute types which may contain arrays or nested attributes
+const STRUCTURED_TYPES = [
+	'json',
+	'ref'
+];
+
+// Modifiers which can be used to compare the `size` of an array
+const SIZE_COMPARISON_MODIFIERS = [
+	'<', 'lessThan',
+	'<=', 'lessThanOrEqual',
+	'>', 'greaterThan',
+	'>=', 'greaterThanOrEqual',
+	'!', 'not', '!='
+];
+
+// The codes of the errors which may be reported as issues when collecting errors
+const ISSUE_CODES = [
+	'E_WHERE_CLAUSE_UNPARSEABLE',
+	'E_UNKNOWN_ATTRIBUTE',
+	'E_MODIFIER_NOT_SUPPORTED'
+];
+
+// The message for a warning about a Date instance being used as an equivalency filter
+// (see `./private/is-eq-filter.js`)
+const DATE_EQ_FILTER_WARNING =
+'Date instances are tolerated as equivalency filters, but this will likely be ' +
+'discouraged in a future version of Sails+Waterline.  Instead, consider storing ' +
+'and filtering by numeric JS timestamps (i.e. `Date.getTime()`).';
+
 /**
  * validateWhereClause()
  *
  * Check the `WHERE` clause for obviously unsupported usage.
  *
- * This does not do any schema-aware validation-- its job is merely
+ * Unless a model definition is provided, this does not do any
+ * schema-aware validation-- its job is merely
  * to check for structural issues, and to provide a better experience
  * when integrating from userland code.
  *
+ * Attributes of embedded dictionaries may be filtered on using either a
+ * dot-delimited path (e.g. `{ 'address.city': 'Paris' }`) or a nested
+ * dictionary without any sub-attribute modifiers (e.g. `{ address: { city: 'Paris' } }`).
+ *
+ * Array attributes may be filtered on using the array membership modifiers:
+ * `has`, `hasAll`, `hasAny`, `size`, and `elemMatch`.
+ *
+ * String search modifiers may be accompanied by search options:
+ * `caseSensitive` (a boolean) and `flags` (extra regular expression flags--
+ * `'u'` and/or `'s'`).  e.g. `{ sku: { contains: 'X', caseSensitive: true } }`
+ * A `like` modifier may also be accompanied by a custom `escape` character.
+ * e.g. `{ discount: { like: '10!%', escape: '!' } }`
+ *
+ * The `regex` modifier takes either a RegExp or (e.g. when the `where` clause
+ * was sent as JSON) a `{ pattern, flags }` dictionary.  Patterns which look
+ * prone to catastrophic backtracking (e.g. `(a+)+`, `(a|aa)+`, or `a*a*a*`) are rejected.
+ *
+ * If a model definition is provided, the `where` clause is also checked
+ * against it: every attribute must be defined in the model (nested paths
+ * are only allowed within `json` and `ref` attributes), and modifiers must
+ * fit the declared type-- e.g. `contains` cannot be used on a `number`,
+ * `>` cannot be used on a `boolean`, and `has` can only be used on a
+ * `json` or `ref` attribute.
+ *
  * @param  {Dictionary} where
  *         A hypothetically well-formed `where` clause from
  *         a Waterline criteria.
  *
+ * @param  {Dictionary?} model
+ *         A model definition (e.g. `{ attributes: { age: { type: 'number' } } }`),
+ *         or just its attribute definitions.
+ *
  * @throws {Error} If WHERE clause cannot be parsed.
  *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ *
+ * @throws {Error} If WHERE clause refers to an attribute which is not in the model.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`
+ *
+ * @param  {Dictionary?} options
+ *         @property {Boolean?} collectErrors
+ *                   If enabled, rather than throwing on the first problem, every problem
+ *                   is collected and returned, along with warnings about usage which is
+ *                   tolerated but discouraged (e.g. Date instances as equivalency filters).
+ *
+ * @returns {Dictionary[]?}
+ *          Only if `options.collectErrors` is enabled: the issues found (if any).  e.g.
+ *          `[ { path: 'where.or[2].age.>', code: 'E_WHERE_CLAUSE_UNPARSEABLE', severity: 'error', message: '...' } ]`
+ *          (`severity` is either `'error'` or `'warning'`.  Warnings have codes like `'W_DATE_EQ_FILTER'`.)
+ *
+ * @throws {Error} If WHERE clause uses a modifier which does not fit the declared type of an attribute.
+ *         @property {String} `code: 'E_MODIFIER_NOT_SUPPORTED'`
  */
-module.exports = function validateWhereClause(where)
+module.exports = function validateWhereClause(where, model, options)
 {
 
 	if (isUndefined(where))
@@ -83,18 +238,92 @@ module.exports = function validateWhereClause(where)
 		throw new Error('Cannot call validateWhereClause() when `where` is undefined.');
 	}
 
+	// If collecting errors, this is where the issues go.
+	// (Otherwise, the first problem is thrown.)
+	const issues = options && options.collectErrors ? [] : undefined;
+
 	if (!isObject(where) || Array.isArray(where) || isFunction(where))
 	{
-		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected \`where\` to be a dictionary, but got: \`${util.inspect(where, {depth: null})}\``));
+		const err = flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected \`where\` to be a dictionary, but got: \`${util.inspect(where, {depth: null})}\``));
+		if (issues)
+		{
+			return [buildIssue('where', err.code, 'error', err.message)];
+		}
+		throw err;
+	}
+
+	/**
+	 * Record a warning about tolerated-but-discouraged usage.
+	 * (These are only reported when collecting errors.)
+	 *
+	 * @param  {String} path
+	 * @param  {String} code     [e.g. `'W_DATE_EQ_FILTER'`]
+	 * @param  {String} message
+	 */
+	function warn(path, code, message)
+	{
+		if (issues)
+		{
+			issues.push(buildIssue(path, code, 'warning', message));
+		}
 	}
 
+	// If a model definition was provided, look up its attributes.
+	const attributes = isUndefined(model) ? undefined : getAttributeDefs(model);
+
 	// Recursively iterate through the provided `where` clause, starting with each top-level key.
-	(function _recursiveStep(clause)
+	// (`clausePath` is the path to the clause within the criteria, for reporting issues--
+	// e.g. `'where.or[2]'`.)
+	(function _recursiveStep(clause, parentPath, clausePath)
 	{
 
-		each(clause, function(rhs, key)
+		each(clause, collectErrors(issues, clausePath, function(rhs, key)
 		{
 
+			// The full path to this attribute, if this clause is nested within
+			// another attribute.  e.g. `address.city`
+			const attrPath = parentPath ? `${parentPath}.${key}` : key;
+
+			// The path to this key within the criteria.  e.g. `where.or[2].age`
+			const keyPath = childPath(clausePath, key);
+
+			// A top-level `not` negates the sub-clause on its right-hand side.
+			// e.g. `{ not: { name: 'Finn' } }`
+			if (key === 'not' && !parentPath)
+			{
+				if (!isObject(rhs) || Array.isArray(rhs) || isFunction(rhs))
+				{
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected a dictionary at \`not\`, but instead got:${util.inspect(rhs, {depth: null})}\n(\`not\` should always be provided with a sub-clause to negate on the right-hand side-- e.g. \`{ not: { name: 'Finn' } }\`.)`));
+				}
+
+				// Recursive call
+				_recursiveStep(rhs, undefined, keyPath);
+				return;
+			}
+
+			// A top-level `like` applies a `like` pattern to each attribute on its right-hand side.
+			// e.g. `{ like: { name: 'Fi%' } }`  (the same as `{ name: { like: 'Fi%' } }`)
+			if (key === 'like' && !parentPath)
+			{
+				if (!isObject(rhs) || Array.isArray(rhs) || isFunction(rhs))
+				{
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected a dictionary at \`like\`, but instead got:${util.inspect(rhs, {depth: null})}\n(\`like\` should always be provided with a dictionary of patterns, keyed by attribute name-- e.g. \`{ like: { name: 'Fi%' } }\`.)`));
+				}
+
+				// Recursive call
+				each(rhs, function(pattern, attrName)
+				{
+					_recursiveStep({[attrName]: {like: pattern}}, undefined, keyPath);
+				});
+				return;
+			}
+
+			// If a model definition was provided, make sure this attribute exists.
+			if (attributes && !PREDICATE_OPERATORS.includes(key))
+			{
+				validateAttrPath(attrPath, attributes);
+			}
+
 			//  ╔═╗╦═╗╔═╗╔╦╗╦╔═╗╔═╗╔╦╗╔═╗
 			//  ╠═╝╠╦╝║╣  ║║║║  ╠═╣ ║ ║╣
 			//  ╩  ╩╚═╚═╝═╩╝╩╚═╝╩ ╩ ╩ ╚═╝
@@ -105,6 +334,13 @@ module.exports = function validateWhereClause(where)
 			if (PREDICATE_OPERATORS.includes(key))
 			{
 
+				// Predicates can only be used at the top level, or within other predicates--
+				// not within a nested attribute.
+				if (parentPath)
+				{
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`${key}\` predicate within \`${parentPath}\`.  (Predicates like \`${key}\` cannot be nested within an attribute.  Instead, try moving the \`${key}\` up to the top level, and use dot-delimited paths like \`'${parentPath}.foo'\` within it.)`));
+				}
+
 				// RHS of a predicate must always be an array.
 				if (!Array.isArray(rhs))
 				{
@@ -117,11 +353,12 @@ module.exports = function validateWhereClause(where)
 				{
 					// But we will tolerate it for now for compatibility.
 					// (it's not _exactly_ invalid, per se.)
+					warn(keyPath, 'W_EMPTY_ARRAY', `\`${key}\` was given an empty array.  (An empty \`or\` matches nothing, and an empty \`and\` matches everything.)`);
 				}
 
 				// >-
 				// Loop over each sub-clause within this OR/AND predicate.
-				each(rhs, function(subClause)
+				each(rhs, collectErrors(issues, keyPath, function(subClause, i)
 				{
 
 					// Check that each sub-clause is a plain dictionary, no funny business.
@@ -131,9 +368,9 @@ module.exports = function validateWhereClause(where)
 					}
 
 					// Recursive call
-					_recursiveStep(subClause);
+					_recursiveStep(subClause, undefined, childPath(keyPath, i));
 
-				});// </each sub-clause inside of predicate>
+				}));// </each sub-clause inside of predicate>
 
 			}
 			//  ╦╔╗╔  ┌─┐┬┬ ┌┬┐┌─┐┬─┐
@@ -149,18 +386,24 @@ module.exports = function validateWhereClause(where)
 				{
 					// But we will tolerate it for now for compatibility.
 					// (it's not _exactly_ invalid, per se.)
+					warn(keyPath, 'W_EMPTY_ARRAY', `\`${attrPath}\` was given an empty array, which matches nothing.`);
 				}
 
 				// Validate each item in the `in` array as an equivalency filter.
-				each(rhs, function(subFilter)
+				each(rhs, collectErrors(issues, keyPath, function(subFilter, i)
 				{
 
 					if (!isEqFilter(subFilter))
 					{
-						throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`${key}\`:${util.inspect(subFilter, {depth: null})}\n(Sub-filters within an \`in\` must be provided as primitive values like strings, numbers, booleans, and null.)`));
+						throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`${attrPath}\`:${util.inspect(subFilter, {depth: null})}\n(Sub-filters within an \`in\` must be provided as primitive values like strings, numbers, booleans, and null.)`));
 					}
 
-				});
+					if (isDate(subFilter))
+					{
+						warn(childPath(keyPath, i), 'W_DATE_EQ_FILTER', DATE_EQ_FILTER_WARNING);
+					}
+
+				}));
 
 			}
 			//  ╔╦╗╦╔═╗╔╦╗╦╔═╗╔╗╔╔═╗╦═╗╦ ╦  ╔═╗╔═╗  ╔═╗╦ ╦╔╗    ╔═╗╔╦╗╔╦╗╦═╗  ┌┬┐┌─┐┌┬┐┬┌─┐┬┌─┐┬─┐┌─┐
@@ -170,40 +413,87 @@ module.exports = function validateWhereClause(where)
 			//  │───  │  │ ││││ │ ├─┤││││└─┐   │   │  ├┤ └─┐└─┐   │ ├─┤├─┤│││   ├┤  │ │    ───│
 			//  └─    └─┘└─┘┘└┘ ┴ ┴ ┴┴┘└┘└─┘┘  o┘  ┴─┘└─┘└─┘└─┘   ┴ ┴ ┴┴ ┴┘└┘┘  └─┘ ┴ └─┘    ─┘
 			// Else if the right-hand side is a dictionary...
-			else if (isObject(rhs) && !Array.isArray(rhs) && !isFunction(rhs))
+			// (Dates are equivalency filters-- see below.)
+			else if (isObject(rhs) && !Array.isArray(rhs) && !isFunction(rhs) && !isDate(rhs))
 			{
 
 				// If the dictionary is empty, then this is puzzling.
 				// e.g. { fullName: {} }
 				if (Object.keys(rhs).length === 0)
 				{
-					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`${key}\`:${util.inspect(rhs, {depth: null})}\n(If a dictionary is provided, it is expected to consist of sub-attribute modifiers like \`contains\`, etc.  But this dictionary is empty!)`));
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`${attrPath}\`:${util.inspect(rhs, {depth: null})}\n(If a dictionary is provided, it is expected to consist of sub-attribute modifiers like \`contains\`, etc.  But this dictionary is empty!)`));
+				}
+
+				// If none of the keys in the dictionary are sub-attribute modifiers, then
+				// this is a filter on attributes nested within this one.
+				// e.g. `{ address: { city: 'Paris' } }`
+				const hasSubAttrModifier = Object.keys(rhs).some(function(subKey)
+				{
+					return SUB_ATTR_MODIFIERS.includes(subKey);
+				});
+				if (!hasSubAttrModifier)
+				{
+					// Recursive call
+					_recursiveStep(rhs, attrPath, keyPath);
+					return;
 				}
 
 				// Check to verify that it is a valid dictionary with a sub-attribute modifier.
-				each(rhs, function(subFilter, subAttrModifierKey)
+				each(rhs, collectErrors(issues, keyPath, function(subFilter, subAttrModifierKey)
 				{
 
+					// The path to this modifier within the criteria.  e.g. `where.or[2].age.>`
+					const modifierPath = childPath(keyPath, subAttrModifierKey);
+
 					// If this is a documented sub-attribute modifier, then validate it as such.
 					if (SUB_ATTR_MODIFIERS.includes(subAttrModifierKey))
 					{
 
+						// If a model definition was provided, make sure this modifier
+						// fits the declared type of the attribute.
+						if (attributes)
+						{
+							validateModifierForType(subAttrModifierKey, attrPath, attributes);
+						}
+
+						// If this is an array membership modifier (e.g. "hasAll"), then it has
+						// its own rules-- some of them expect arrays on the RHS, and `elemMatch`
+						// expects a dictionary.
+						if (ARRAY_MEMBERSHIP_MODIFIERS.includes(subAttrModifierKey))
+						{
+							validateArrayMembershipModifier(subAttrModifierKey, subFilter, attrPath, function(subClause, subClauseAttrPath)
+							{
+								_recursiveStep(subClause, subClauseAttrPath, keyPath);
+							});
+						}
+						// If this is a `regex` modifier, then it has its own rules too.
+						// e.g. `{ name: { regex: { pattern: '^ab+c$', flags: 'i' } } }`
+						else if (subAttrModifierKey === 'regex')
+						{
+							validateRegexModifier(subFilter, attrPath);
+						}
+						// If this is an explicit `in` or `nin` modifier, then the RHS must be an array.
+						// e.g. `{ fullName: { nin: ['murphy brown', 'kermit'] } }`
+						else if (IN_MODIFIERS.includes(subAttrModifierKey) && !Array.isArray(subFilter))
+						{
+							throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected an array at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${attrPath}\`, but instead got:${util.inspect(subFilter, {depth: null})}\n(The right-hand side of \`${subAttrModifierKey}\` should always be an array of primitive values like strings, numbers, booleans, and null.)`));
+						}
 						// If the sub-filter is an array...
 						//
 						// > The RHS value for sub-attr modifier is only allowed to be an array for
-						// > the `not` modifier. (This is to allow for use as a "NOT IN" filter.)
-						// > Otherwise, arrays are prohibited.
-						if (Array.isArray(subFilter))
+						// > the `in`/`nin` modifiers, and for the `not` modifier. (This is to allow
+						// > for use as a "NOT IN" filter.)  Otherwise, arrays are prohibited.
+						else if (Array.isArray(subFilter))
 						{
 
-							// If this is _actually_ a `not in` filter (e.g. a "!" with an array on the RHS)...
+							// If this is _actually_ an `in` or `not in` filter (e.g. a "!" with an array on the RHS)...
 							// e.g.
 							// ```
 							// fullName: {
 							//   '!': ['murphy brown', 'kermit']
 							// }
 							// ```
-							if (NIN_OPERATORS.includes(subAttrModifierKey))
+							if (NIN_OPERATORS.includes(subAttrModifierKey) || IN_MODIFIERS.includes(subAttrModifierKey))
 							{
 
 								// If the array is empty, then this is puzzling.
@@ -212,25 +502,31 @@ module.exports = function validateWhereClause(where)
 								{
 									// But we will tolerate it for now for compatibility.
 									// (it's not _exactly_ invalid, per se.)
+									warn(modifierPath, 'W_EMPTY_ARRAY', `\`${subAttrModifierKey}\` was given an empty array for \`${attrPath}\`.`);
 								}
 
-								// Loop over the "not in" values in the array
-								each(subFilter, function(blacklistItem)
+								// Loop over the "in"/"not in" values in the array
+								each(subFilter, collectErrors(issues, modifierPath, function(blacklistItem, i)
 								{
 
 									// We handle this here as a special case.
 									if (!isEqFilter(blacklistItem))
 									{
-										throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value within the blacklist array provided at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${key}\`:${util.inspect(blacklistItem, {depth: null})}\n(Blacklist items within a \`not in\` array must be provided as primitive values like strings, numbers, booleans, and null.)`));
+										throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value within the array provided at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${attrPath}\`:${util.inspect(blacklistItem, {depth: null})}\n(Items within an \`in\` or \`not in\` array must be provided as primitive values like strings, numbers, booleans, and null.)`));
 									}
 
-								});// </each() :: item in the "NOT IN" blacklist array>
+									if (isDate(blacklistItem))
+									{
+										warn(childPath(modifierPath, i), 'W_DATE_EQ_FILTER', DATE_EQ_FILTER_WARNING);
+									}
+
+								}));// </each() :: item in the "IN"/"NOT IN" array>
 							}
 							// Otherwise, this is some other attr modifier...which means this is invalid,
 							// since arrays are prohibited.
 							else
 							{
-								throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected array at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${key}\`:${util.inspect(subFilter, {depth: null})}\n(An array cannot be used as the right-hand side of a \`${subAttrModifierKey}\` sub-attribute modifier.  Instead, try using \`or\` at the top level.  Refer to the Sails docs for details.)`));
+								throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected array at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${attrPath}\`:${util.inspect(subFilter, {depth: null})}\n(An array cannot be used as the right-hand side of a \`${subAttrModifierKey}\` sub-attribute modifier.  Instead, try using \`or\` at the top level.  Refer to the Sails docs for details.)`));
 							}
 
 						}
@@ -245,7 +541,7 @@ module.exports = function validateWhereClause(where)
 							{
 								if (!isString(subFilter) && !isNumber(subFilter) && !isBoolean(subFilter))
 								{
-									throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${key}\`:${util.inspect(subFilter, {depth: null})}\n(The right-hand side of a string search modifier like \`${subAttrModifierKey}\` must always be a string, number, or boolean.)`));
+									throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${attrPath}\`:${util.inspect(subFilter, {depth: null})}\n(The right-hand side of a string search modifier like \`${subAttrModifierKey}\` must always be a string, number, or boolean.)`));
 								}
 							}
 							// Otherwise this is a miscellaneous sub-attr modifier,
@@ -254,7 +550,13 @@ module.exports = function validateWhereClause(where)
 							{
 								if (!isEqFilter(subFilter))
 								{
-									throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${key}\`:${util.inspect(subFilter, {depth: null})}\n(The right-hand side of a \`${subAttrModifierKey}\` must be a primitive value, like a string, number, boolean, or null.)`));
+									throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${attrPath}\`:${util.inspect(subFilter, {depth: null})}\n(The right-hand side of a \`${subAttrModifierKey}\` must be a primitive value, like a string, number, boolean, or null.)`));
+								}
+
+								// (Dates are fine for comparisons like `>`, but not for "equal" or "not equal".)
+								if ((EQ_OPERATORS.includes(subAttrModifierKey) || NIN_OPERATORS.includes(subAttrModifierKey)) && isDate(subFilter))
+								{
+									warn(modifierPath, 'W_DATE_EQ_FILTER', DATE_EQ_FILTER_WARNING);
 								}
 							}// </else (validate this sub-attr modifier's RHS as an eq filter)>
 
@@ -262,13 +564,20 @@ module.exports = function validateWhereClause(where)
 
 					}// </if this is a recognized sub-attr modifier>
 					//
+					// If this is a search option (e.g. "caseSensitive"), then it must
+					// accompany a string search modifier.
+					else if (SEARCH_OPTIONS.includes(subAttrModifierKey))
+					{
+						validateSearchOption(subAttrModifierKey, subFilter, rhs, attrPath);
+					}
+					//
 					// Otherwise, this is NOT a recognized sub-attribute modifier and it makes us uncomfortable.
 					else
 					{
-						throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unrecognized sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${key}\`.  Make sure to use a recognized sub-attribute modifier such as \`startsWith\`, \`<=\`, \`!\`, etc. )`));
+						throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unrecognized sub-attribute modifier (\`${subAttrModifierKey}\`) for \`${attrPath}\`.  Make sure to use a recognized sub-attribute modifier such as \`startsWith\`, \`<=\`, \`!\`, etc. )`));
 					}
 
-				});// </each sub-attr modifier>
+				}));// </each sub-attr modifier>
 
 			}// </RHS is a dictionary>
 			//
@@ -282,14 +591,359 @@ module.exports = function validateWhereClause(where)
 				// Check the right-hand side as a normal equivalency filter.
 				if (!isEqFilter(rhs))
 				{
-					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`${key}\`:${util.inspect(rhs, {depth: null})}\n(When filtering by exact match, use a primitive value: a string, number, boolean, or null.)`));
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`${attrPath}\`:${util.inspect(rhs, {depth: null})}\n(When filtering by exact match, use a primitive value: a string, number, boolean, or null.)`));
+				}
+
+				if (isDate(rhs))
+				{
+					warn(keyPath, 'W_DATE_EQ_FILTER', DATE_EQ_FILTER_WARNING);
 				}
 
 			}// </else:: is normal equivalency filter>
 
-		});// </each() : check each top-level key>
+		}));// </each() : check each top-level key>
 
-	})(where);
+	})(where, undefined, 'where');
+
+	return issues;
 
 };
 
+// ////////////////////////
+// /
+// / private methods   ||
+// /                   \/
+// /
+// ////////////////////////
+
+/**
+ * Wrap an iteratee, so that if `issues` is being collected, any problem
+ * with one item is recorded as an issue (at the path of that item within
+ * `parentPath`) rather than stopping validation altogether.
+ *
+ * @param  {Dictionary[]?} issues      [if `undefined`, problems are thrown as usual]
+ * @param  {String}        parentPath  [e.g. `'where.or'`]
+ * @param  {Function}      iteratee    [called with each value and its key or index]
+ * @return {Function}
+ */
+function collectErrors(issues, parentPath, iteratee)
+{
+	if (!issues)
+	{
+		return iteratee;
+	}
+
+	return function(value, key)
+	{
+		try
+		{
+			iteratee(value, key);
+		}
+		catch (e)
+		{
+			if (!ISSUE_CODES.includes(e.code))
+			{
+				throw e;
+			}
+			issues.push(buildIssue(childPath(parentPath, key), e.code, 'error', e.message));
+		}
+	};
+}
+
+/**
+ * Build the path to a key (or array index) within `parentPath`.
+ *
+ * @param  {String}        parentPath  [e.g. `'where.or'`]
+ * @param  {String|Number} key         [e.g. `2`, or `'age'`]
+ * @return {String}                    [e.g. `'where.or[2]'`, or `'where.age'`]
+ */
+function childPath(parentPath, key)
+{
+	return isNumber(key) ? `${parentPath}[${key}]` : `${parentPath}.${key}`;
+}
+
+/**
+ * Build an issue to report when collecting errors.
+ *
+ * @param  {String} path      [e.g. `'where.or[2].age.>'`]
+ * @param  {String} code      [e.g. `'E_WHERE_CLAUSE_UNPARSEABLE'` or `'W_DATE_EQ_FILTER'`]
+ * @param  {String} severity  [either `'error'` or `'warning'`]
+ * @param  {String} message
+ * @return {Dictionary}
+ */
+function buildIssue(path, code, severity, message)
+{
+	// (Strip the preamble, so that the link to the docs isn't repeated for every issue.)
+	if (message.indexOf(E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX) === 0)
+	{
+		message = message.slice(E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX.length);
+	}
+
+	return {
+		path     : path,
+		code     : code,
+		severity : severity,
+		message  : message
+	};
+}
+
+/**
+ * Check that the attribute at `attrPath` exists in the model.
+ *
+ * @param  {String}     attrPath    [e.g. `'name'` or `'address.city'`]
+ * @param  {Dictionary} attributes  [the attribute definitions from the model]
+ *
+ * @throws {Error} If there is no such attribute.
+ *         @property {String} `code: 'E_UNKNOWN_ATTRIBUTE'`
+ */
+function validateAttrPath(attrPath, attributes)
+{
+	// (An attribute may be named with a literal dot.)
+	if (Object.prototype.hasOwnProperty.call(attributes, attrPath))
+	{
+		return;
+	}
+
+	const attrName = attrPath.split('.')[0];
+	if (!Object.prototype.hasOwnProperty.call(attributes, attrName))
+	{
+		throw flaverr('E_UNKNOWN_ATTRIBUTE', new Error(`Unknown attribute (\`${attrName}\`) in \`where\` clause, at \`${attrPath}\`.  (There is no attribute by that name in the model definition.)`));
+	}
+
+	const type = attributes[attrName] && attributes[attrName].type;
+	if (type && !STRUCTURED_TYPES.includes(type))
+	{
+		throw flaverr('E_UNKNOWN_ATTRIBUTE', new Error(`Unknown attribute (\`${attrPath}\`) in \`where\` clause.  (\`${attrName}\` is declared as a \`${type}\`, so it has no nested attributes.  Only \`json\` and \`ref\` attributes can be filtered on using nested paths.)`));
+	}
+}
+
+/**
+ * Check that a sub-attribute modifier fits the declared type of the attribute at `attrPath`.
+ *
+ * @param  {String}     modifier    [e.g. `'contains'`]
+ * @param  {String}     attrPath
+ * @param  {Dictionary} attributes  [the attribute definitions from the model]
+ *
+ * @throws {Error} If the modifier cannot be used with that type.
+ *         @property {String} `code: 'E_MODIFIER_NOT_SUPPORTED'`
+ */
+function validateModifierForType(modifier, attrPath, attributes)
+{
+	// (The types of nested attributes aren't known, so anything goes.)
+	const type = attributes[attrPath] && attributes[attrPath].type;
+	if (!type)
+	{
+		return;
+	}
+
+	let fits = true;
+	if (STRING_SEARCH_MODIFIERS.includes(modifier) || modifier === 'regex')
+	{
+		fits = !NON_STRING_TYPES.includes(type);
+	}
+	else if (ORDERING_MODIFIERS.includes(modifier))
+	{
+		fits = !UNORDERED_TYPES.includes(type);
+	}
+	else if (ARRAY_MEMBERSHIP_MODIFIERS.includes(modifier))
+	{
+		fits = STRUCTURED_TYPES.includes(type);
+	}
+
+	if (!fits)
+	{
+		throw flaverr('E_MODIFIER_NOT_SUPPORTED', new Error(`The \`${modifier}\` modifier cannot be used with \`${attrPath}\`, because it is declared as a \`${type}\` attribute.`));
+	}
+}
+
+/**
+ * Check the right-hand side of an array membership modifier.
+ *
+ * @param  {String}   modifier      [e.g. `'hasAll'`]
+ * @param  {???}      rhs
+ * @param  {String}   attrPath      [for use in error messages]
+ * @param  {Function} recursiveStep [for validating the sub-clause of `elemMatch`]
+ *
+ * @throws {Error} If the right-hand side is not valid for this modifier.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ */
+function validateArrayMembershipModifier(modifier, rhs, attrPath, recursiveStep)
+{
+	switch (modifier)
+	{
+		// e.g. `{ tags: { has: 'sale' } }`
+		case 'has':
+			if (!isEqFilter(rhs))
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`${modifier}\`) for \`${attrPath}\`:${util.inspect(rhs, {depth: null})}\n(The right-hand side of \`has\` must be a primitive value, like a string, number, boolean, or null.  To check for several values at once, use \`hasAll\` or \`hasAny\`.)`));
+			}
+			break;
+
+		// e.g. `{ tags: { hasAll: ['sale', 'new'] } }`
+		case 'hasAll':
+		case 'hasAny':
+			if (!Array.isArray(rhs))
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected an array at sub-attribute modifier (\`${modifier}\`) for \`${attrPath}\`, but instead got:${util.inspect(rhs, {depth: null})}`));
+			}
+			each(rhs, function(item)
+			{
+				if (!isEqFilter(item))
+				{
+					throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value within the array provided at sub-attribute modifier (\`${modifier}\`) for \`${attrPath}\`:${util.inspect(item, {depth: null})}\n(Items within a \`${modifier}\` array must be provided as primitive values like strings, numbers, booleans, and null.)`));
+				}
+			});
+			break;
+
+		// e.g. `{ tags: { size: 2 } }` or `{ tags: { size: { '>': 2 } } }`
+		case 'size':
+			if (isObject(rhs) && !Array.isArray(rhs) && !isFunction(rhs) && Object.keys(rhs).length > 0)
+			{
+				each(rhs, function(size, sizeModifier)
+				{
+					if (!SIZE_COMPARISON_MODIFIERS.includes(sizeModifier) || !isNumber(size))
+					{
+						throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`${sizeModifier}\` within sub-attribute modifier (\`size\`) for \`${attrPath}\`:${util.inspect(size, {depth: null})}\n(Within \`size\`, only comparison modifiers like \`<\`, \`>=\`, and \`!\` may be used, and each must be given a number.)`));
+					}
+				});
+			}
+			else if (!isNumber(rhs) || rhs < 0 || Math.floor(rhs) !== rhs)
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`size\`) for \`${attrPath}\`:${util.inspect(rhs, {depth: null})}\n(The right-hand side of \`size\` must be a non-negative integer, or a dictionary of comparison modifiers like \`{ '>': 2 }\`.)`));
+			}
+			break;
+
+		// e.g. `{ scores: { elemMatch: { '>': 90 } } }` or `{ pets: { elemMatch: { species: 'dog' } } }`
+		case 'elemMatch':
+			if (!isObject(rhs) || Array.isArray(rhs) || isFunction(rhs))
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected a dictionary at sub-attribute modifier (\`elemMatch\`) for \`${attrPath}\`, but instead got:${util.inspect(rhs, {depth: null})}\n(The right-hand side of \`elemMatch\` should either consist of sub-attribute modifiers to check each item against, or of filters on the attributes of each item.)`));
+			}
+			// Validate the sub-clause as if each item were a nested attribute.
+			recursiveStep({elemMatch: rhs}, attrPath);
+			break;
+
+		default:
+			throw new Error(`Consistency violation: Unexpected array membership modifier: \`${modifier}\``);
+	}
+}
+
+/**
+ * Check the right-hand side of a `regex` modifier.
+ *
+ * @param  {???}    rhs       [a RegExp, or a `{ pattern, flags }` dictionary]
+ * @param  {String} attrPath  [for use in error messages]
+ *
+ * @throws {Error} If the right-hand side is not a valid (and safe) regular expression.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ */
+function validateRegexModifier(rhs, attrPath)
+{
+	let pattern;
+	if (isRegExp(rhs))
+	{
+		pattern = rhs.source;
+	}
+	else if (isObject(rhs) && !Array.isArray(rhs) && !isFunction(rhs))
+	{
+		each(rhs, function(value, key)
+		{
+			if (key !== 'pattern' && key !== 'flags')
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unrecognized key (\`${key}\`) within sub-attribute modifier (\`regex\`) for \`${attrPath}\`.  (Only \`pattern\` and \`flags\` are supported.)`));
+			}
+		});
+
+		if (!isString(rhs.pattern))
+		{
+			throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Expected a string at \`pattern\` within sub-attribute modifier (\`regex\`) for \`${attrPath}\`, but instead got:${util.inspect(rhs.pattern, {depth: null})}`));
+		}
+
+		const flags = isUndefined(rhs.flags) ? '' : rhs.flags;
+		const hasValidFlags = isString(flags) && flags.split('').every(function(flag, i)
+		{
+			return REGEX_FLAGS.includes(flag) && flags.indexOf(flag) === i;
+		});
+		if (!hasValidFlags)
+		{
+			throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`flags\` within sub-attribute modifier (\`regex\`) for \`${attrPath}\`:${util.inspect(rhs.flags, {depth: null})}\n(\`flags\` must be a string made up of \`i\`, \`m\`, \`s\`, and/or \`u\`, each used at most once.)`));
+		}
+
+		try
+		{
+			new RegExp(rhs.pattern, flags);
+		}
+		catch (e)
+		{
+			throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Invalid \`pattern\` within sub-attribute modifier (\`regex\`) for \`${attrPath}\`:${util.inspect(rhs.pattern, {depth: null})}\n(${e.message})`));
+		}
+
+		pattern = rhs.pattern;
+	}
+	else
+	{
+		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at sub-attribute modifier (\`regex\`) for \`${attrPath}\`:${util.inspect(rhs, {depth: null})}\n(The right-hand side of \`regex\` must be a RegExp, or a dictionary like \`{ pattern: '^ab+c$', flags: 'i' }\`.)`));
+	}
+
+	if (!isSafeRegex(pattern))
+	{
+		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unsafe pattern within sub-attribute modifier (\`regex\`) for \`${attrPath}\`:${util.inspect(pattern, {depth: null})}\n(This pattern looks prone to catastrophic backtracking, which can take a very long time to match.  Try rewriting it without nested quantifiers like \`(a+)+\`, repeated alternatives which overlap like \`(a|aa)+\`, or several overlapping quantifiers in a row like \`a*a*a*\`.)`));
+	}
+}
+
+/**
+ * Check a search option specified alongside a string search modifier.
+ *
+ * @param  {String}     searchOption  [e.g. `'caseSensitive'`]
+ * @param  {???}        value
+ * @param  {Dictionary} rhs           [the dictionary of sub-attribute modifiers containing this option]
+ * @param  {String}     attrPath      [for use in error messages]
+ *
+ * @throws {Error} If the search option is not valid.
+ *         @property {String} `code: 'E_WHERE_CLAUSE_UNPARSEABLE'`
+ */
+function validateSearchOption(searchOption, value, rhs, attrPath)
+{
+	const hasStringSearchModifier = Object.keys(rhs).some(function(key)
+	{
+		return STRING_SEARCH_MODIFIERS.includes(key);
+	});
+	if (!hasStringSearchModifier)
+	{
+		throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`${searchOption}\` for \`${attrPath}\`.  (\`${searchOption}\` can only be used alongside a string search modifier like \`contains\`, \`startsWith\`, \`endsWith\`, or \`like\`.)`));
+	}
+
+	switch (searchOption)
+	{
+		// e.g. `{ sku: { contains: 'X', caseSensitive: true } }`
+		case 'caseSensitive':
+			if (!isBoolean(value))
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`caseSensitive\` for \`${attrPath}\`:${util.inspect(value, {depth: null})}\n(\`caseSensitive\` must be either \`true\` or \`false\`.)`));
+			}
+			break;
+
+		// e.g. `{ discount: { like: '10!%', escape: '!' } }`
+		case 'escape':
+			if (!Object.keys(rhs).includes('like'))
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected \`escape\` for \`${attrPath}\`.  (\`escape\` can only be used alongside \`like\`.  The strings given to other string search modifiers are always matched literally.)`));
+			}
+			if (!isString(value) || value.length !== 1)
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`escape\` for \`${attrPath}\`:${util.inspect(value, {depth: null})}\n(\`escape\` must be a single character, like \`'!'\`.)`));
+			}
+			break;
+
+		// e.g. `{ name: { startsWith: 'Д', flags: 'u' } }`
+		case 'flags':
+			if (!isString(value) || !value.match(X_SEARCH_FLAGS))
+			{
+				throw flaverr('E_WHERE_CLAUSE_UNPARSEABLE', new Error(`${E_WHERE_CLAUSE_UNPARSEABLE_MSG_PREFIX}Unexpected value at \`flags\` for \`${attrPath}\`:${util.inspect(value, {depth: null})}\n(\`flags\` must be a string containing \`'u'\` and/or \`'s'\`.  To control case sensitivity, use \`caseSensitive\` instead.)`));
+			}
+			break;
+
+		default:
+			throw new Error(`Consistency violation: Unexpected search option: \`${searchOption}\``);
+	}
+}
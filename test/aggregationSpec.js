@@ -0,0 +1,138 @@
+/**
+ * Module dependencies
+ */
+var wc = require('../'),
+  assert = require('assert');
+
+describe('aggregations', function() {
+
+  var DATASET = [
+    { name: 'a', age: 10, kind: 'cat' },
+    { name: 'b', age: '20', kind: 'cat' },
+    { name: 'c', age: null, kind: 'dog' },
+    { name: 'd', kind: 'dog' },
+    { name: 'e', age: 30, kind: 'dog' }
+  ];
+
+  describe('sum', function() {
+    it('should ignore nulls and cast numeric strings', function() {
+      assert.deepEqual(wc._sum(DATASET, 'age'), { age: 60 });
+    });
+
+    it('should return 0 for an empty result set', function() {
+      assert.deepEqual(wc._sum([], ['age']), { age: 0 });
+    });
+  });
+
+  describe('average', function() {
+    it('should only count numeric values towards the divisor', function() {
+      assert.deepEqual(wc._average(DATASET, ['age']), { age: 20 });
+    });
+
+    it('should return null for an empty result set', function() {
+      assert.deepEqual(wc._average([], 'age'), { age: null });
+    });
+  });
+
+  describe('count', function() {
+    it('should count tuples', function() {
+      assert.equal(wc._count(DATASET), 5);
+      assert.equal(wc._count([]), 0);
+    });
+  });
+
+  describe('query()', function() {
+    it('should aggregate after `where` and before `skip`/`limit`', function() {
+      var result = wc(DATASET, {
+        where: { kind: 'dog' },
+        sum: ['age'],
+        average: ['age'],
+        count: true,
+        limit: 1
+      });
+
+      assert.equal(result.results.length, 1);
+      assert.deepEqual(result.sum, { age: 30 });
+      assert.deepEqual(result.average, { age: 30 });
+      assert.equal(result.count, 3);
+    });
+
+    it('should not include aggregations which were not requested', function() {
+      var result = wc(DATASET, {});
+      assert.deepEqual(Object.keys(result), ['results', 'indices']);
+    });
+  });
+
+});
+
+describe('group by', function() {
+
+  var DATASET = [
+    { name: 'a', age: 10, kind: 'cat', color: 'black' },
+    { name: 'b', age: 20, kind: 'cat', color: 'white' },
+    { name: 'c', age: 5, kind: 'dog', color: 'black' },
+    { name: 'd', age: 7, kind: 'dog', color: 'black' },
+    { name: 'e', age: 30, kind: 'bird', color: 'black' }
+  ];
+
+  it('should return one row per group with its aggregations', function() {
+    var result = wc(DATASET, {
+      groupBy: 'kind',
+      sum: ['age'],
+      count: true
+    });
+
+    assert.deepEqual(result.results, [
+      { kind: 'cat', age: 30, count: 2 },
+      { kind: 'dog', age: 12, count: 2 },
+      { kind: 'bird', age: 30, count: 1 }
+    ]);
+    assert.deepEqual(result.indices, [[0, 1], [2, 3], [4]]);
+  });
+
+  it('should support grouping by several attributes', function() {
+    var result = wc(DATASET, {
+      where: { age: { '<': 25 } },
+      groupBy: ['kind', 'color'],
+      min: 'age',
+      average: 'name'
+    });
+
+    assert.deepEqual(result.results, [
+      { kind: 'cat', color: 'black', age: 10, name: null },
+      { kind: 'cat', color: 'white', age: 20, name: null },
+      { kind: 'dog', color: 'black', age: 5, name: null }
+    ]);
+  });
+
+  it('should sort, skip and limit the groups', function() {
+    var result = wc(DATASET, {
+      groupBy: 'kind',
+      max: 'age',
+      sort: { age: 1 },
+      skip: 1,
+      limit: 1
+    });
+
+    assert.deepEqual(result.results, [{ kind: 'cat', age: 20 }]);
+  });
+
+  it('should refuse to aggregate the same attribute twice', function() {
+    assert.throws(function() {
+      wc(DATASET, { groupBy: 'kind', sum: 'age', max: 'age' });
+    }, function(err) {
+      return err.code === 'E_CRITERIA_UNPARSEABLE';
+    });
+    [
+      { groupBy: 'count', count: true },
+      { groupBy: 'kind', sum: 'count', count: true }
+    ].forEach(function(criteria) {
+      assert.throws(function() {
+        wc([{ kind: 'a', count: 1 }], criteria);
+      }, function(err) {
+        return err.code === 'E_CRITERIA_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(criteria) + ' to be rejected');
+    });
+  });
+
+});
@@ -0,0 +1,370 @@
+/**
+ * Module dependencies
+ */
+var wc = require('../'),
+  assert = require('assert');
+
+
+describe('validateCriteria', function() {
+
+  function expectClauseError(criteria, clause) {
+    assert.throws(function() {
+      wc.validateCriteria(criteria);
+    }, function(err) {
+      return err.code === 'E_CRITERIA_UNPARSEABLE' && err.clause === clause && err.message.indexOf('`' + clause + '`') > -1;
+    }, 'Expected ' + JSON.stringify(criteria) + ' to be rejected because of `' + clause + '`');
+  }
+
+  it('should accept well-formed criteria', function() {
+    wc.validateCriteria({});
+    wc.validateCriteria({
+      where: { name: { contains: 'x' } },
+      sort: 'name DESC',
+      limit: 10,
+      skip: '20',
+      select: ['name']
+    });
+    wc.validateCriteria({ where: null, omit: ['age'], groupBy: ['kind'], sum: 'age', count: true });
+  });
+
+  it('should reject criteria which is not a dictionary', function() {
+    assert.throws(function() {
+      wc.validateCriteria('name');
+    }, function(err) {
+      return err.code === 'E_CRITERIA_UNPARSEABLE';
+    });
+  });
+
+  it('should reject unrecognized and mis-nested keys alongside a `where` clause', function() {
+    expectClauseError({ where: {}, name: 'x' }, 'name');
+    expectClauseError({ where: {}, limt: 1 }, 'limt');
+  });
+
+  it('should accept the same shorthand as `normalizeCriteria()` without a `where` clause', function() {
+    var criteria = { name: 'x', limit: 2 };
+    wc.validateCriteria(criteria);
+    assert.deepEqual(wc.normalizeCriteria(criteria).where, wc.normalizeCriteria({ where: { name: 'x' } }).where);
+    expectClauseError({ name: { contains: [1] }, limit: 2 }, 'where');
+    assert.throws(function() {
+      wc.validateCriteria({ naem: 'x' }, { attributes: { name: { type: 'string' } } });
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE';
+    });
+  });
+
+  it('should reject negative and fractional `limit` and `skip`', function() {
+    expectClauseError({ limit: -1 }, 'limit');
+    expectClauseError({ limit: 2.5 }, 'limit');
+    expectClauseError({ skip: -3 }, 'skip');
+    expectClauseError({ skip: '1.5' }, 'skip');
+  });
+
+  it('should name the clause when `where` or `sort` cannot be parsed', function() {
+    expectClauseError({ where: { name: { contains: [1] } } }, 'where');
+    expectClauseError({ sort: 'name SIDEWAYS' }, 'sort');
+  });
+
+  it('should reject malformed `select`, `omit`, `joins`, aggregations, and `count`', function() {
+    expectClauseError({ select: 'name' }, 'select');
+    expectClauseError({ select: [1] }, 'select');
+    expectClauseError({ omit: 'age' }, 'omit');
+    expectClauseError({ select: ['name'], omit: ['age'] }, 'omit');
+    expectClauseError({ joins: {} }, 'joins');
+    expectClauseError({ groupBy: [] }, 'groupBy');
+    expectClauseError({ average: { age: true } }, 'average');
+    expectClauseError({ count: 'yes' }, 'count');
+  });
+
+  it('should check `where` and `sort` against a model definition', function() {
+    var model = { attributes: { name: { type: 'string' } } };
+    wc.validateCriteria({ where: { name: 'x' }, sort: 'name' }, model);
+    assert.throws(function() {
+      wc.validateCriteria({ sort: 'naem' }, model);
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE';
+    });
+  });
+
+});
+
+
+describe('limit and skip', function() {
+
+  var DATASET = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+  it('should return no tuples for a `limit` of 0', function() {
+    assert.deepEqual(wc._limit(DATASET, 0), []);
+    assert.deepEqual(wc(DATASET, { limit: 0 }).results, []);
+    assert.deepEqual(wc._limit(DATASET, undefined), DATASET);
+  });
+
+  it('should reject negative and fractional values', function() {
+    [
+      function() { wc._skip(DATASET, -1); },
+      function() { wc._limit(DATASET, -1); },
+      function() { wc._limit(DATASET, 1.5); },
+      function() { wc(DATASET, { skip: -2 }); }
+    ].forEach(function(fn) {
+      assert.throws(fn, function(err) {
+        return err.code === 'E_CRITERIA_UNPARSEABLE';
+      });
+    });
+  });
+
+});
+
+
+describe('copying results', function() {
+
+  var DATASET = [
+    { id: 1, name: 'b', address: { city: 'Paris' } },
+    { id: 2, name: 'a', address: { city: 'Oslo' } },
+    { id: 3, name: 'c', address: { city: 'Rome' } }
+  ];
+
+  it('should not modify the original tuples', function() {
+    var result = wc(DATASET, { where: { id: { '>': 1 } }, sort: 'name' });
+    result.results[0].address.city = 'Lima';
+    assert.equal(DATASET[1].address.city, 'Oslo');
+    DATASET.forEach(function(tuple) {
+      assert.deepEqual(Object.keys(tuple), ['id', 'name', 'address']);
+    });
+  });
+
+  it('should keep track of original indices, whatever is selected', function() {
+    var result = wc(DATASET, { sort: 'name', select: ['name'] });
+    assert.deepEqual(result.results, [{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+    assert.deepEqual(result.indices, [1, 0, 2]);
+  });
+
+  it('should share nested values with the original tuples in `noCopy` mode', function() {
+    var result = wc('things', { things: DATASET }, { id: 3 }, undefined, { noCopy: true });
+    assert.deepEqual(result.results, [DATASET[2]]);
+    assert.strictEqual(result.results[0].address, DATASET[2].address);
+    assert.deepEqual(result.indices, [2]);
+  });
+
+});
+
+
+describe('paging with cursors', function() {
+
+  var SCHEMA = { id: { type: 'number', primaryKey: true } };
+  var DATASET = [
+    { id: 1, kind: 'dog' },
+    { id: 2, kind: 'cat' },
+    { id: 3, kind: 'dog' },
+    { id: 4, kind: 'cat' },
+    { id: 5, kind: 'bird' }
+  ];
+
+  function page(criteria, options) {
+    return wc('pets', { pets: DATASET }, criteria, SCHEMA, Object.assign({ tiebreaker: true }, options));
+  }
+
+  function ids(result) {
+    return result.results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should page forwards and backwards through sorted results', function() {
+    var criteria = { sort: 'kind DESC', limit: 2 };
+    var first = page(criteria);
+    assert.deepEqual(ids(first), [1, 3]);
+    assert.strictEqual(first.prevCursor, null);
+
+    var second = page(criteria, { cursor: first.nextCursor });
+    assert.deepEqual(ids(second), [2, 4]);
+    assert.deepEqual(second.indices, [1, 3]);
+
+    var third = page(criteria, { cursor: second.nextCursor });
+    assert.deepEqual(ids(third), [5]);
+    assert.strictEqual(third.nextCursor, null);
+
+    assert.deepEqual(ids(page(criteria, { cursor: third.prevCursor })), [2, 4]);
+    var back = page(criteria, { cursor: second.prevCursor });
+    assert.deepEqual(ids(back), [1, 3]);
+    assert.strictEqual(back.prevCursor, null);
+  });
+
+  it('should not skip or repeat tuples when one is inserted between pages', function() {
+    var criteria = { sort: 'kind DESC', limit: 2 };
+    var first = page(criteria);
+    DATASET.unshift({ id: 0, kind: 'dog' });
+    try {
+      assert.deepEqual(ids(page(criteria, { cursor: first.nextCursor })), [2, 4]);
+    }
+    finally {
+      DATASET.shift();
+    }
+  });
+
+  it('should not drop tuples which tie across pages, even without a tiebreaker', function() {
+    var tuples = [{ id: 1, a: 1 }, { id: 2, a: 1 }, { id: 3, a: 1 }, { id: 4, a: 2 }];
+    var first = wc('t', { t: tuples }, { sort: 'a', limit: 2 });
+    assert.deepEqual(first.indices, [0, 1]);
+    var second = wc('t', { t: tuples }, { sort: 'a', limit: 2 }, undefined, { cursor: first.nextCursor });
+    assert.deepEqual(second.indices, [2, 3]);
+    assert.strictEqual(second.nextCursor, null);
+    assert.deepEqual(wc('t', { t: tuples }, { sort: 'a', limit: 2 }, undefined, { cursor: second.prevCursor }).indices, [0, 1]);
+    assert.deepEqual(wc('t', { t: tuples }, { sort: 'a', limit: 2 }, undefined, { after: [1, 0] }).indices, [1, 2]);
+  });
+
+  it('should accept the values of the sort keys as `after` or `before`', function() {
+    assert.deepEqual(ids(page({ sort: 'kind', limit: 2 }, { after: ['cat', 2] })), [4, 1]);
+    assert.deepEqual(ids(page({ sort: 'kind', limit: 2 }, { before: ['dog', 3] })), [4, 1]);
+  });
+
+  it('should only include cursors for a page of sorted results', function() {
+    assert.deepEqual(Object.keys(page({ sort: 'kind' })), ['results', 'indices']);
+    assert.deepEqual(Object.keys(wc(DATASET, { limit: 2 })), ['results', 'indices']);
+  });
+
+  it('should reject a cursor from a query which was sorted differently', function() {
+    var cursor = page({ sort: 'kind DESC', limit: 2 }).nextCursor;
+    assert.throws(function() {
+      page({ sort: 'kind ASC', limit: 2 }, { cursor: cursor });
+    }, function(err) {
+      return err.code === 'E_CURSOR_MISMATCH' && err.message.indexOf('`kind DESC, id ASC`') > -1 && err.message.indexOf('`kind ASC, id ASC`') > -1;
+    });
+    assert.throws(function() {
+      page({ sort: 'kind DESC', limit: 2 }, { cursor: cursor, tiebreaker: false });
+    }, function(err) {
+      return err.code === 'E_CURSOR_MISMATCH';
+    });
+    assert.throws(function() {
+      page({ sort: 'kind', limit: 2 }, { after: ['cat'] });
+    }, function(err) {
+      return err.code === 'E_CURSOR_MISMATCH';
+    });
+  });
+
+  it('should reject a cursor which cannot be parsed', function() {
+    assert.throws(function() {
+      page({ sort: 'kind', limit: 2 }, { cursor: 'not a cursor' });
+    }, function(err) {
+      return err.code === 'E_CURSOR_UNPARSEABLE';
+    });
+  });
+
+});
+
+
+describe('normalizeCriteria', function() {
+
+  var DATASET = [
+    { id: 1, name: 'Finn', age: 14, tags: ['hero'], address: { city: 'Ooo' } },
+    { id: 2, name: 'Jake', age: 28, tags: ['dog', 'hero'], address: { city: 'Ooo' } },
+    { id: 3, name: 'Marceline', age: 1003, tags: [], address: { city: 'Nightosphere' } }
+  ];
+
+  it('should fill in every clause for empty criteria', function() {
+    var expected = {
+      where: { and: [] },
+      select: ['*'],
+      omit: [],
+      sort: [],
+      skip: 0,
+      limit: Number.MAX_SAFE_INTEGER
+    };
+    assert.deepEqual(wc.normalizeCriteria(), expected);
+    assert.deepEqual(wc.normalizeCriteria({ where: null }), expected);
+    assert.deepEqual(wc.normalizeCriteria({ where: '' }), expected);
+  });
+
+  it('should treat top-level attributes as the `where` clause when there is none', function() {
+    var criteria = wc.normalizeCriteria({ name: 'Finn', limit: '1' });
+    assert.deepEqual(criteria.where, { and: [{ name: 'Finn' }] });
+    assert.strictEqual(criteria.limit, 1);
+  });
+
+  it('should use canonical operator names', function() {
+    var criteria = wc.normalizeCriteria({ where: {
+      name: { equals: 'Finn' },
+      age: { greaterThan: 10, '<=': 30, '!': 20 },
+      id: { not: [2, 3] },
+      tags: { size: { greaterThanOrEqual: 1 } }
+    } });
+    assert.deepEqual(criteria.where, { and: [
+      { name: 'Finn' },
+      { age: { '>': 10 } },
+      { age: { '<=': 30 } },
+      { age: { '!=': 20 } },
+      { id: { nin: [2, 3] } },
+      { tags: { size: { '>=': 1 } } }
+    ] });
+  });
+
+  it('should build explicit `and` trees', function() {
+    var criteria = wc.normalizeCriteria({ where: {
+      id: [1, 2],
+      address: { city: 'Ooo' },
+      and: [{ name: { contains: 'n', caseSensitive: true, startsWith: 'F' } }],
+      OR: [{ age: 14 }, { age: 28, name: 'Jake' }],
+      not: { like: { name: 'J%' } }
+    } });
+    assert.deepEqual(criteria.where, { and: [
+      { id: { in: [1, 2] } },
+      { 'address.city': 'Ooo' },
+      { name: { contains: 'n', caseSensitive: true } },
+      { name: { startsWith: 'F', caseSensitive: true } },
+      { or: [{ age: 14 }, { and: [{ age: 28 }, { name: 'Jake' }] }] },
+      { not: { name: { like: 'J%' } } }
+    ] });
+  });
+
+  it('should coerce criteria to the types declared in the schema', function() {
+    var criteria = wc.normalizeCriteria({ where: { age: { '>': '18', in: ['1', 2] } } }, { age: { type: 'number' } });
+    assert.deepEqual(criteria.where, { and: [{ age: { '>': 18 } }, { age: { in: [1, 2] } }] });
+  });
+
+  it('should convert `sort` into an ordered array', function() {
+    assert.deepEqual(wc.normalizeCriteria({ sort: 'age DESC, name' }).sort, [{ age: 'DESC' }, { name: 'ASC' }]);
+    assert.deepEqual(wc.normalizeCriteria({ sort: { age: -1, name: 1 } }).sort, [{ age: 'DESC' }, { name: 'ASC' }]);
+    assert.deepEqual(wc.normalizeCriteria({ sort: 'age DESC NULLS LAST' }).sort, [{ age: { direction: 'DESC', nulls: 'last' } }]);
+  });
+
+  it('should convert `select` into a list', function() {
+    assert.deepEqual(wc.normalizeCriteria({ select: '*' }).select, ['*']);
+    assert.deepEqual(wc.normalizeCriteria({ select: { name: true, age: true } }).select, ['name', 'age']);
+
+    var criteria = wc.normalizeCriteria({ select: { '*': true, age: false } });
+    assert.deepEqual(criteria.select, ['*']);
+    assert.deepEqual(criteria.omit, ['age']);
+  });
+
+  it('should reject criteria it cannot normalize', function() {
+    [
+      { limit: -1 },
+      { select: 'name' },
+      { select: ['name'], omit: ['age'] },
+      { where: { or: { name: 'Finn' } } },
+      { where: { age: { '>': 1, atLeast: 2 } } }
+    ].forEach(function(criteria) {
+      assert.throws(function() {
+        wc.normalizeCriteria(criteria);
+      }, function(err) {
+        return err.code === 'E_CRITERIA_UNPARSEABLE' || err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(criteria) + ' to be rejected');
+    });
+  });
+
+  it('should produce criteria which passes validation, and gives the same results', function() {
+    var criteria = {
+      where: {
+        or: [{ name: { startsWith: 'f' } }, { age: { greaterThan: '20', '!': 1003 } }],
+        tags: { has: 'hero' }
+      },
+      sort: { age: 'DESC' },
+      select: { '*': true, tags: false }
+    };
+    var normalized = wc.normalizeCriteria(criteria);
+    wc.validateCriteria(normalized);
+    wc.validateWhereClause({ not: { name: { '!=': 'Finn' } } });
+    assert.deepEqual(wc(DATASET, normalized), wc(DATASET, criteria));
+    assert.deepEqual(wc(DATASET, criteria).indices, [1, 0]);
+    assert.equal(wc(DATASET, criteria).results[0].tags, undefined);
+  });
+
+});
@@ -165,6 +165,25 @@ describe('filter criteria', function() {
     }).results.length, 1);
   });
 
+  it('matches in and nin modifiers', function() {
+    var data = {
+      foo: [{ key: 0 }, { key: 1 }, { key: 2 }, { key: 'three' }]
+    };
+
+    assert.equal(wc('foo', data, { where: { key: { in: [0, '1', 'THREE'] } } }).results.length, 3);
+    assert.equal(wc('foo', data, { where: { key: { nin: [0, 1] } } }).results.length, 2);
+    assert.equal(wc('foo', data, { where: { key: { in: [0, 1, 2], nin: [1], '>': 0 } } }).results.length, 1);
+
+    wc.validateWhereClause({ key: { in: [1, 2], nin: [null] } });
+    [{ key: { in: 1 } }, { key: { nin: [[1]] } }].forEach(function(where) {
+      assert.throws(function() {
+        wc.validateWhereClause(where);
+      }, function(err) {
+        return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      });
+    });
+  });
+
   it('matches in array', function() {
     var values = [0, 1, 2],
       data = {
@@ -186,6 +205,731 @@ describe('filter criteria', function() {
 });
 
 
+describe('nested attributes', function() {
+
+  var DATASET = [
+    { id: 1, address: { city: 'Paris', zip: 75001, geo: { lat: 48 } } },
+    { id: 2, address: { city: 'Lyon', zip: 69001, geo: { lat: 45 } } },
+    { id: 3, address: null },
+    { id: 4, 'address.city': 'Paris' }
+  ];
+
+  function ids(where) {
+    return wc(DATASET, { where: where }).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should match dot-delimited paths', function() {
+    assert.deepEqual(ids({ 'address.city': 'paris' }), [1, 4]);
+    assert.deepEqual(ids({ 'address.geo.lat': { '<': 46 } }), [2]);
+  });
+
+  it('should match nested dictionaries', function() {
+    assert.deepEqual(ids({ address: { city: 'Lyon' } }), [2]);
+    assert.deepEqual(ids({ address: { geo: { lat: { '>=': 45 } } } }), [1, 2]);
+    assert.deepEqual(ids({ address: { city: { contains: 'y' }, zip: [69001, 13001] } }), [2]);
+  });
+
+  it('should support modifiers on nested paths', function() {
+    assert.deepEqual(ids({ 'address.city': { not: 'Paris' } }), [2]);
+    assert.deepEqual(ids({ 'address.zip': { '!': [75001] } }), [2, 3, 4]);
+    assert.deepEqual(ids({ or: [{ 'address.zip': 75001 }, { id: 3 }] }), [1, 3]);
+  });
+
+  it('should validate nested where clauses', function() {
+    wc.validateWhereClause({ 'address.city': 'Paris', address: { geo: { lat: { '>': 4 } } } });
+
+    assert.throws(function() {
+      wc.validateWhereClause({ address: { or: [{ city: 'Paris' }] } });
+    }, function(err) {
+      return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+    });
+
+    assert.throws(function() {
+      wc.validateWhereClause({ address: { geo: { lat: { '>': [4] } } } });
+    }, function(err) {
+      return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE' && err.message.indexOf('address.geo.lat') > -1;
+    });
+  });
+});
+
+
+describe('array membership modifiers', function() {
+
+  var DATASET = [
+    { id: 1, tags: ['sale', 'new'], scores: [10, 95], pets: [{ species: 'dog', age: 3 }] },
+    { id: 2, tags: ['new'], scores: [50], pets: [{ species: 'cat', age: 9 }, { species: 'dog', age: 12 }] },
+    { id: 3, tags: [], scores: [], pets: [] },
+    { id: 4, tags: 'sale' }
+  ];
+
+  function ids(where) {
+    return wc(DATASET, { where: where }).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should match `has`', function() {
+    assert.deepEqual(ids({ tags: { has: 'SALE' } }), [1]);
+    assert.deepEqual(ids({ scores: { has: '50' } }), [2]);
+  });
+
+  it('should match `hasAll` and `hasAny`', function() {
+    assert.deepEqual(ids({ tags: { hasAll: ['new', 'sale'] } }), [1]);
+    assert.deepEqual(ids({ tags: { hasAny: ['sale', 'clearance'] } }), [1]);
+    assert.deepEqual(ids({ tags: { hasAll: [] } }), [1, 2, 3]);
+  });
+
+  it('should match `size`', function() {
+    assert.deepEqual(ids({ tags: { size: 0 } }), [3]);
+    assert.deepEqual(ids({ tags: { size: { '>=': 1, '<': 2 } } }), [2]);
+  });
+
+  it('should match `elemMatch`', function() {
+    assert.deepEqual(ids({ scores: { elemMatch: { '>': 90 } } }), [1]);
+    assert.deepEqual(ids({ pets: { elemMatch: { species: 'dog', age: { '>': 10 } } } }), [2]);
+    assert.deepEqual(ids({ pets: { elemMatch: { species: 'cat' } }, tags: { has: 'new' } }), [2]);
+  });
+
+  it('should validate array membership modifiers', function() {
+    wc.validateWhereClause({
+      tags: { hasAll: ['a', 'b'], size: { '>': 1 } },
+      scores: { elemMatch: { '>': 90 } },
+      pets: { elemMatch: { species: 'dog', age: { '<': 4 } } }
+    });
+
+    [
+      { tags: { has: ['a'] } },
+      { tags: { hasAny: 'a' } },
+      { tags: { hasAll: [{ a: 1 }] } },
+      { tags: { size: -1 } },
+      { tags: { size: 1.5 } },
+      { tags: { size: { contains: 1 } } },
+      { tags: { elemMatch: 'a' } },
+      { pets: { elemMatch: { age: { '>': [4] } } } },
+      { pets: { elemMatch: { or: [{ age: 1 }] } } }
+    ].forEach(function(where) {
+      assert.throws(function() {
+        wc.validateWhereClause(where);
+      }, function(err) {
+        return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(where) + ' to be rejected');
+    });
+  });
+});
+
+
+describe('strict comparisons', function() {
+
+  var DATASET = [
+    { id: 1, code: 'ABC', active: true, rank: 1 },
+    { id: 2, code: 'abc', active: 'true', rank: '1' },
+    { id: 3, code: 'abd', active: false, rank: 3 }
+  ];
+
+  function ids(where, schema, options) {
+    return wc('foo', { foo: DATASET }, { where: where }, schema, options).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should compare loosely by default', function() {
+    assert.deepEqual(ids({ code: 'abc' }), [1, 2]);
+    assert.deepEqual(ids({ active: true }), [1, 2]);
+    assert.deepEqual(ids({ rank: 1 }), [1, 2]);
+  });
+
+  it('should respect case and type when `strict` is enabled', function() {
+    assert.deepEqual(ids({ code: 'abc' }, {}, { strict: true }), [2]);
+    assert.deepEqual(ids({ code: { '!': 'abc' } }, {}, { strict: true }), [1, 3]);
+    assert.deepEqual(ids({ active: true }, {}, { strict: true }), [1]);
+    assert.deepEqual(ids({ rank: { in: [1, 3] } }, {}, { strict: true }), [1, 3]);
+  });
+
+  it('should not order values of different types when `strict` is enabled', function() {
+    assert.deepEqual(ids({ rank: { '<': 2 } }, {}, { strict: true }), [1]);
+    assert.deepEqual(ids({ code: { '>': 'abc' } }, {}, { strict: true }), [3]);
+  });
+
+  it('should allow `strict` to be set per attribute in the schema', function() {
+    var schema = { code: { type: 'string', strict: true }, rank: { type: 'number', strict: false } };
+    assert.deepEqual(ids({ code: 'abc', rank: 1 }, schema), [2]);
+    assert.deepEqual(ids({ rank: 1 }, schema, { strict: true }), [1, 2]);
+  });
+});
+
+
+describe('string search options', function() {
+
+  var DATASET = [
+    { id: 1, sku: 'AB-100', name: 'Дмитрий' },
+    { id: 2, sku: 'ab-200', name: 'дмитрий' },
+    { id: 3, sku: 'XY-300', name: 'Ivan\nPetrov' }
+  ];
+
+  function ids(where, options) {
+    return wc('foo', { foo: DATASET }, { where: where }, {}, options).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should be case-insensitive by default', function() {
+    assert.deepEqual(ids({ sku: { contains: 'ab-' } }), [1, 2]);
+  });
+
+  it('should support `caseSensitive` per modifier', function() {
+    assert.deepEqual(ids({ sku: { contains: 'AB-', caseSensitive: true } }), [1]);
+    assert.deepEqual(ids({ sku: { startsWith: 'ab', endsWith: '00', caseSensitive: true } }), [2]);
+    assert.deepEqual(ids({ sku: { contains: 'ab-', caseSensitive: false } }, { caseSensitive: true }), [1, 2]);
+  });
+
+  it('should support `caseSensitive` per query', function() {
+    assert.deepEqual(ids({ sku: { like: 'ab%' } }, { caseSensitive: true }), [2]);
+    assert.deepEqual(ids({ like: { sku: 'AB%' } }, { caseSensitive: true }), [1]);
+  });
+
+  it('should support extra regex `flags`', function() {
+    assert.deepEqual(ids({ name: { startsWith: 'дми', flags: 'u' } }), [1, 2]);
+    assert.deepEqual(ids({ name: { contains: 'n', flags: 's', caseSensitive: true } }), [3]);
+    assert.deepEqual(ids({ name: { like: 'ivan%' } }, { flags: 'su' }), [3]);
+  });
+
+  it('should validate search options', function() {
+    wc.validateWhereClause({ sku: { contains: 'X', caseSensitive: true, flags: 'us' } });
+
+    [
+      { sku: { contains: 'X', caseSensitive: 'yes' } },
+      { sku: { contains: 'X', flags: 'g' } },
+      { sku: { contains: 'X', flags: 'uu' } },
+      { sku: { contains: 'X', flags: 'i' } },
+      { sku: { '>': 'X', caseSensitive: true } }
+    ].forEach(function(where) {
+      assert.throws(function() {
+        wc.validateWhereClause(where);
+      }, function(err) {
+        return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(where) + ' to be rejected');
+    });
+
+    assert.throws(function() {
+      ids({ sku: { contains: 'X' } }, { flags: 'g' });
+    }, /Unrecognized `flags`/);
+  });
+});
+
+
+describe('like patterns', function() {
+
+  var DATASET = [
+    { id: 1, code: '10%' },
+    { id: 2, code: '100' },
+    { id: 3, code: 'a_c' },
+    { id: 4, code: 'abc' },
+    { id: 5, code: 'a\\c' }
+  ];
+
+  function ids(where, options) {
+    return wc('foo', { foo: DATASET }, { where: where }, {}, options).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should treat `%` and `_` as wildcards', function() {
+    assert.deepEqual(ids({ code: { like: '10%' } }), [1, 2]);
+    assert.deepEqual(ids({ code: { like: 'a_c' } }), [3, 4, 5]);
+    assert.deepEqual(ids({ code: { like: '_' } }), []);
+    assert.deepEqual(ids({ code: { like: '%' } }), [1, 2, 3, 4, 5]);
+  });
+
+  it('should match line breaks with wildcards', function() {
+    var tuples = [{ text: 'a\nb' }, { text: 'line1\nfoo' }];
+    assert.deepEqual(wc(tuples, { where: { text: { like: 'a%' } } }).indices, [0]);
+    assert.deepEqual(wc(tuples, { where: { text: { like: 'a_b' } } }).indices, [0]);
+    assert.deepEqual(wc(tuples, { where: { text: { contains: 'foo' } } }).indices, [1]);
+    assert.deepEqual(wc(tuples, { where: { text: { endsWith: 'B', flags: 'u' } } }).indices, [0]);
+  });
+
+  it('should match escaped wildcards literally', function() {
+    assert.deepEqual(ids({ code: { like: '10\\%' } }), [1]);
+    assert.deepEqual(ids({ code: { like: 'a\\_c' } }), [3]);
+    assert.deepEqual(ids({ code: { like: 'a\\\\c' } }), [5]);
+  });
+
+  it('should support a custom `escape` character', function() {
+    assert.deepEqual(ids({ code: { like: '10!%', escape: '!' } }), [1]);
+    assert.deepEqual(ids({ code: { like: 'a!_%' } }, { escape: '!' }), [3]);
+    assert.deepEqual(ids({ code: { like: 'a\\c', escape: '!' } }), [5]);
+  });
+
+  it('should match the strings given to other string search modifiers literally', function() {
+    assert.deepEqual(ids({ code: { contains: '%' } }), [1]);
+    assert.deepEqual(ids({ code: { startsWith: 'a_' } }), [3]);
+    assert.deepEqual(ids({ code: { endsWith: '\\c' } }), [5]);
+  });
+
+  it('should validate `escape`', function() {
+    [
+      { code: { like: '10!%', escape: '!!' } },
+      { code: { like: '10!%', escape: 1 } },
+      { code: { contains: '10', escape: '!' } }
+    ].forEach(function(where) {
+      assert.throws(function() {
+        wc.validateWhereClause(where);
+      }, function(err) {
+        return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(where) + ' to be rejected');
+    });
+  });
+});
+
+
+describe('regex modifier', function() {
+
+  var DATASET = [
+    { id: 1, name: 'Abbc' },
+    { id: 2, name: 'abc' },
+    { id: 3, name: 'ac' },
+    { id: 4, name: 404 }
+  ];
+
+  function ids(where) {
+    return wc(DATASET, { where: where }).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should match a RegExp', function() {
+    assert.deepEqual(ids({ name: { regex: /^ab+c$/ } }), [2]);
+    assert.deepEqual(ids({ name: { regex: /^ab+c$/i } }), [1, 2]);
+    assert.deepEqual(ids({ name: { regex: /^\d+$/ } }), [4]);
+  });
+
+  it('should match a `{ pattern, flags }` dictionary', function() {
+    assert.deepEqual(ids({ name: { regex: { pattern: '^ab*c$' } } }), [2, 3]);
+    assert.deepEqual(ids({ name: { regex: { pattern: '^ab*c$', flags: 'i' } } }), [1, 2, 3]);
+    assert.deepEqual(ids({ name: { regex: { pattern: 'b{2}' }, '!': 'x' } }), [1]);
+  });
+
+  it('should match every record the same way, even with a stateful RegExp', function() {
+    var tuples = [{ name: 'abc' }, { name: 'abc' }, { name: 'abc' }];
+    [/a/y, /a/g].forEach(function(regex) {
+      assert.deepEqual(wc(tuples, { where: { name: { regex: regex } } }).indices, [0, 1, 2]);
+      assert.deepEqual(tuples.map(wc.compileWhere({ name: { regex: regex } })), [true, true, true]);
+      assert.equal(regex.lastIndex, 0);
+    });
+    assert.throws(function() {
+      wc.compileWhere({ name: { regex: { pattern: 'a', flags: 'y' } } });
+    }, function(err) {
+      return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+    });
+  });
+
+  it('should validate `regex`', function() {
+    wc.validateWhereClause({ name: { regex: /^ab+c$/i } });
+    wc.validateWhereClause({ name: { regex: { pattern: '^(?:ab)+(c|d)?$', flags: 'iu' } } });
+    wc.validateWhereClause({ name: { regex: { pattern: '^(\\d+\\.){3}\\d+$' } } });
+    wc.validateWhereClause({ name: { regex: { pattern: '^(cat|dog)+\\S+\\s+\\S+$' } } });
+
+    [
+      { name: { regex: '^abc' } },
+      { name: { regex: { flags: 'i' } } },
+      { name: { regex: { pattern: '^abc', flags: 'g' } } },
+      { name: { regex: { pattern: '^abc', flags: 'ii' } } },
+      { name: { regex: { pattern: '^abc', extra: true } } },
+      { name: { regex: { pattern: '(unclosed' } } },
+      { name: { regex: { pattern: '^(a+)+$' } } },
+      { name: { regex: { pattern: '^(\\w*\\s?)*$' } } },
+      { name: { regex: { pattern: '^((ab)*c)+$' } } },
+      { name: { regex: /^(x{2,})*$/ } },
+      { name: { regex: { pattern: '(a|aa)+$' } } },
+      { name: { regex: { pattern: '(a|a)*$' } } },
+      { name: { regex: { pattern: '(.*a){25}' } } },
+      { name: { regex: { pattern: 'a*a*a*a*a*b' } } },
+      { name: { regex: /(?=(a+)+)b/ } }
+    ].forEach(function(where) {
+      assert.throws(function() {
+        wc.validateWhereClause(where);
+      }, function(err) {
+        return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(where) + ' to be rejected');
+    });
+  });
+});
+
+
+describe('schema-driven coercion', function() {
+
+  var DATASET = [
+    { id: 1, qty: '0', code: '007', active: 'true', data: { a: 1 }, at: '2017-01-01T00:00:00.000Z' },
+    { id: 2, qty: 10, code: 7, active: false, data: 'true', at: 1483315200000 },
+    { id: 3, qty: 'n/a', code: '7', active: 1, data: null, at: new Date('2017-01-03T00:00:00.000Z') }
+  ];
+
+  var SCHEMA = {
+    qty: { type: 'number' },
+    code: { type: 'string' },
+    active: { type: 'boolean' },
+    data: { type: 'json' },
+    at: { type: 'datetime' }
+  };
+
+  function ids(where, schema) {
+    return wc('foo', { foo: DATASET }, { where: where }, schema || SCHEMA).results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should treat `\'0\'` as a number', function() {
+    assert.deepEqual(ids({ qty: 0 }), [1]);
+    assert.deepEqual(ids({ qty: '0' }, {}), [1]);
+    assert.deepEqual(ids({ qty: { '<': '5' } }), [1]);
+  });
+
+  it('should only treat `null` as equal to `null` for attributes with a declared type', function() {
+    var tuples = [{ id: 1, qty: 0 }, { id: 2, qty: null }, { id: 3, qty: '0' }];
+    function typedIds(where) {
+      return wc('foo', { foo: tuples }, { where: where }, SCHEMA).results.map(function(tuple) {
+        return tuple.id;
+      });
+    }
+    assert.deepEqual(typedIds({ qty: 0 }), [1, 3]);
+    assert.deepEqual(typedIds({ qty: null }), [2]);
+    assert.deepEqual(typedIds({ qty: { '!=': 0 } }), [2]);
+    assert.deepEqual(typedIds({ qty: { '<=': 0 } }), [1, 3]);
+    assert.deepEqual(typedIds({ qty: { in: [null] } }), [2]);
+  });
+
+  it('should coerce criteria and stored values to the declared type', function() {
+    assert.deepEqual(ids({ qty: { in: ['10', 0] } }), [1, 2]);
+    assert.deepEqual(ids({ code: 7 }), [2, 3]);
+    assert.deepEqual(ids({ code: '007' }), [1]);
+    assert.deepEqual(ids({ active: true }), [1, 3]);
+    assert.deepEqual(ids({ active: 'false' }), [2]);
+    assert.deepEqual(ids({ at: { '>=': '2017-01-02T00:00:00.000Z' } }), [2, 3]);
+    assert.deepEqual(ids({ at: 1483228800000 }), [1]);
+  });
+
+  it('should not coerce `json` attributes, but still compare them loosely', function() {
+    assert.deepEqual(ids({ data: true }), [2]);
+    assert.deepEqual(ids({ data: 'TRUE' }), [2]);
+    assert.deepEqual(ids({ data: null }), [3]);
+    assert.deepEqual(ids({ 'data.a': '1' }), [1]);
+    assert.deepEqual(ids({ 'data.a': 1 }), [1]);
+  });
+
+  it('should only compare `json` attributes exactly as stored in strict mode', function() {
+    var strictSchema = Object.assign({}, SCHEMA, { data: { type: 'json', strict: true } });
+    assert.deepEqual(ids({ data: true }, strictSchema), []);
+    assert.deepEqual(ids({ data: 'true' }, strictSchema), [2]);
+    assert.deepEqual(ids({ 'data.a': '1' }, strictSchema), []);
+    assert.deepEqual(ids({ 'data.a': 1 }, strictSchema), [1]);
+  });
+
+  it('should match nested paths and array modifiers on `json` attributes the same with or without a schema', function() {
+    var tuples = [{ id: 1, address: { city: 'Paris', zip: '75001' }, tags: ['A', 'b'] }];
+    var schema = { address: { type: 'json' }, tags: { type: 'json' } };
+    [
+      { 'address.city': 'paris' },
+      { 'address.zip': '75001' },
+      { 'address.zip': { '>': '75000' } },
+      { tags: { has: 'a' } }
+    ].forEach(function(where) {
+      assert.deepEqual(wc(tuples, { where: where }).indices, [0]);
+      assert.deepEqual(wc('foo', { foo: tuples }, { where: where }, schema).indices, [0], JSON.stringify(where));
+    });
+  });
+
+  it('should throw a clear error when a criterion cannot be coerced', function() {
+    [
+      { qty: 'lots' },
+      { active: 'yes' },
+      { at: { '>': 'tomorrow' } },
+      { qty: { in: [1, 'two'] } }
+    ].forEach(function(where) {
+      assert.throws(function() {
+        ids(where);
+      }, function(err) {
+        return err.code === 'E_FILTER_NOT_USABLE';
+      }, 'Expected ' + JSON.stringify(where) + ' to be rejected');
+    });
+  });
+});
+
+
+describe('schema-aware where validation', function() {
+
+  var MODEL = {
+    attributes: {
+      id: { type: 'number' },
+      name: { type: 'string' },
+      active: { type: 'boolean' },
+      tags: { type: 'json' },
+      owner: { model: 'user' }
+    }
+  };
+
+  function expectError(where, code, pattern) {
+    assert.throws(function() {
+      wc.validateWhereClause(where, MODEL);
+    }, function(err) {
+      return err.code === code && pattern.test(err.message);
+    }, 'Expected ' + JSON.stringify(where) + ' to be rejected with ' + code);
+  }
+
+  it('should accept known attributes and fitting modifiers', function() {
+    wc.validateWhereClause({
+      name: { contains: 'x' },
+      id: { '>': 4, in: [5, 6] },
+      active: true,
+      'tags.color': 'red',
+      tags: { has: 'sale' },
+      owner: 3,
+      or: [{ name: 'a' }, { id: { '<=': 2 } }]
+    }, MODEL);
+  });
+
+  it('should accept the explicit equality modifiers that `query()` accepts', function() {
+    [{ name: { equals: 'a' } }, { name: { equal: 'a' } }, { id: { '=': 4, '<': 5 } }].forEach(function(where) {
+      wc.validateWhereClause(where, MODEL);
+      wc.validateWhereClause(where);
+    });
+    expectError({ name: { equals: ['a'] } }, 'E_WHERE_CLAUSE_UNPARSEABLE', /`equals`/);
+  });
+
+  it('should reject unknown attributes', function() {
+    expectError({ naem: 'x' }, 'E_UNKNOWN_ATTRIBUTE', /`naem`/);
+    expectError({ or: [{ name: 'a' }, { idd: 1 }] }, 'E_UNKNOWN_ATTRIBUTE', /`idd`/);
+    expectError({ 'name.first': 'x' }, 'E_UNKNOWN_ATTRIBUTE', /`name\.first`/);
+    expectError({ name: { first: 'x' } }, 'E_UNKNOWN_ATTRIBUTE', /`name\.first`/);
+  });
+
+  it('should reject modifiers which do not fit the declared type', function() {
+    expectError({ id: { contains: '4' } }, 'E_MODIFIER_NOT_SUPPORTED', /`contains`.*`id`/);
+    expectError({ active: { '>': false } }, 'E_MODIFIER_NOT_SUPPORTED', /`>`.*`active`/);
+    expectError({ name: { has: 'x' } }, 'E_MODIFIER_NOT_SUPPORTED', /`has`.*`name`/);
+    expectError({ id: { regex: /4/ } }, 'E_MODIFIER_NOT_SUPPORTED', /`regex`.*`id`/);
+  });
+});
+
+
+describe('collecting where clause issues', function() {
+
+  var MODEL = { attributes: { name: { type: 'string' }, age: { type: 'number' }, createdAt: { type: 'date' } } };
+
+  function lint(where) {
+    return wc.validateWhereClause(where, MODEL, { collectErrors: true });
+  }
+
+  it('should return an empty array when there are no issues', function() {
+    assert.deepEqual(lint({ name: 'Finn', age: { '>': 12 } }), []);
+  });
+
+  it('should report every problem, with its path', function() {
+    var issues = lint({
+      or: [{ name: 'Finn' }, { nmae: 'Jake' }, { age: { '>': [1], contains: '1' } }],
+      name: { in: ['Finn', {}] }
+    });
+    assert.deepEqual(issues.map(function(issue) {
+      return [issue.path, issue.code, issue.severity];
+    }), [
+      ['where.or[1].nmae', 'E_UNKNOWN_ATTRIBUTE', 'error'],
+      ['where.or[2].age.>', 'E_WHERE_CLAUSE_UNPARSEABLE', 'error'],
+      ['where.or[2].age.contains', 'E_MODIFIER_NOT_SUPPORTED', 'error'],
+      ['where.name.in[1]', 'E_WHERE_CLAUSE_UNPARSEABLE', 'error']
+    ]);
+    issues.forEach(function(issue) {
+      assert.equal(typeof issue.message, 'string');
+      assert.equal(issue.message.indexOf('Refer to the Sails documentation'), -1);
+    });
+  });
+
+  it('should warn about tolerated-but-discouraged usage', function() {
+    var issues = lint({ createdAt: new Date(), age: { nin: [] } });
+    assert.deepEqual(issues.map(function(issue) {
+      return [issue.path, issue.code, issue.severity];
+    }), [
+      ['where.createdAt', 'W_DATE_EQ_FILTER', 'warning'],
+      ['where.age.nin', 'W_EMPTY_ARRAY', 'warning']
+    ]);
+  });
+
+  it('should still throw the first problem by default', function() {
+    assert.throws(function() {
+      wc.validateWhereClause({ nmae: 'Jake', age: { '>': [1] } }, MODEL);
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE';
+    });
+    wc.validateWhereClause({ createdAt: new Date() }, MODEL);
+  });
+
+});
+
+describe('explaining matches', function() {
+
+  var data = {
+    people: [
+      { name: 'Finn', age: '14' },
+      { name: 'Jake', age: 28 },
+      { name: 'Marceline', age: 1004 },
+      { name: 'Bubblegum', age: 827 }
+    ]
+  };
+
+  it('should trace each predicate, with the values that were compared', function() {
+    var explained = wc._where(data.people, { name: 'JAKE', age: { '>': 20 } }, undefined, { explain: 0 });
+    assert.deepEqual(explained.results, [data.people[1]]);
+    assert.deepEqual(explained.explain, [{
+      index: 0,
+      matched: false,
+      trace: {
+        predicate: 'and',
+        children: [
+          { predicate: '=', path: 'name', left: 'finn', right: 'jake', outcome: false }
+        ],
+        outcome: false
+      }
+    }]);
+  });
+
+  it('should trace nested predicates', function() {
+    var explained = wc._where(data.people, { or: [{ name: 'Finn' }, { age: { '<': 100 } }] }, undefined, { explain: 1 });
+    var or = explained.explain[0].trace.children[0];
+    assert.equal(or.predicate, 'or');
+    assert.equal(or.outcome, true);
+    assert.deepEqual(or.children, [
+      { predicate: '=', path: 'name', left: 'jake', right: 'finn', outcome: false },
+      { predicate: '<', path: 'age', left: 28, right: 100, outcome: true }
+    ]);
+  });
+
+  it('should report which stage of the query removed each tuple', function() {
+    var result = wc('people', data, {
+      where: { age: { '>': 20 } },
+      sort: { age: 'DESC' },
+      skip: 1,
+      limit: 1
+    }, undefined, { explain: true });
+    assert.deepEqual(result.results, [{ name: 'Bubblegum', age: 827 }]);
+    assert.deepEqual(result.explain.map(function(explanation) {
+      return [explanation.index, explanation.matched, explanation.removedBy];
+    }), [
+      [0, false, 'where'],
+      [1, true, 'limit'],
+      [2, true, 'skip'],
+      [3, true, null]
+    ]);
+  });
+
+  it('should not include an explanation unless asked', function() {
+    assert.equal(wc('people', data, { name: 'Finn' }).explain, undefined);
+    assert(Array.isArray(wc._where(data.people, { name: 'Finn' })));
+  });
+
+});
+
+describe('compiled where clauses', function() {
+
+  var people = [
+    { name: 'Finn', age: '14', tags: ['hero'] },
+    { name: 'Jake', age: 28, tags: ['dog', 'hero'] },
+    { name: 'Marceline', age: 1004, tags: [] }
+  ];
+
+  it('should check a single record', function() {
+    var isAdult = wc.compileWhere({ age: { '>=': 18 } }, { age: { type: 'number' } });
+    assert.equal(isAdult(people[0]), false);
+    assert.equal(isAdult(people[1]), true);
+    assert.equal(isAdult({ name: 'Bubblegum' }), false);
+  });
+
+  it('should be usable with Array.prototype.filter()', function() {
+    var matches = wc.compileWhere({ or: [{ name: { startsWith: 'm' } }, { tags: { has: 'dog' } }] });
+    assert.deepEqual(people.filter(matches), [people[1], people[2]]);
+  });
+
+  it('should match exactly like _where', function() {
+    var schema = { age: { type: 'number' }, name: { type: 'string', strict: true }, tags: { type: 'json' } };
+    [
+      { name: 'finn' },
+      { name: { contains: 'E' } },
+      { age: { nin: ['14', 28] } },
+      { not: { tags: { size: 0 } } },
+      { like: { name: '%a%' } }
+    ].forEach(function(where) {
+      [undefined, schema].forEach(function(schema) {
+        assert.deepEqual(people.filter(wc.compileWhere(where, schema)), wc._where(people, where, schema), JSON.stringify(where));
+      });
+    });
+  });
+
+  it('should validate the where clause up front', function() {
+    assert.throws(function() {
+      wc.compileWhere({ or: { name: 'Finn' } });
+    }, function(err) {
+      return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+    });
+    assert.throws(function() {
+      wc.compileWhere({ age: 'old' }, { age: { type: 'number' } });
+    }, function(err) {
+      return err.code === 'E_FILTER_NOT_USABLE';
+    });
+    [
+      { name: { regex: { pattern: '(a+)+$' } } },
+      { name: { contains: 'a', caseSensitive: 'yes' } },
+      { name: { startsWith: 'a', escape: '!' } },
+      { tags: { size: 'x' } },
+      { name: { regex: { pattern: 'a', flags: 'gy' } } }
+    ].forEach(function(where) {
+      assert.throws(function() {
+        wc.compileWhere(where);
+      }, function(err) {
+        return err.code === 'E_WHERE_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(where) + ' to be rejected');
+    });
+  });
+
+  it('should check the where clause against the schema, if validateSchema is set', function() {
+    var schema = { name: { type: 'string' }, age: { type: 'number' } };
+    wc.compileWhere({ like: { name: 'F%' } }, schema, { validateSchema: true });
+    assert.throws(function() {
+      wc.compileWhere({ tags: { has: 'dog' } }, schema, { validateSchema: true });
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE';
+    });
+    assert.throws(function() {
+      wc.compileWhere({ age: { contains: '1' } }, schema, { validateSchema: true });
+    }, function(err) {
+      return err.code === 'E_MODIFIER_NOT_SUPPORTED';
+    });
+  });
+
+  it('should allow a partial schema, unless validateSchema is set', function() {
+    var schema = { age: { type: 'number' } };
+    var data = [{ name: 'Finn', age: '14' }, { name: 'Jake', age: '28' }];
+    assert(wc.compileWhere({ name: 'Finn', age: 14 }, schema)(data[0]));
+    assert.deepEqual(wc('people', { people: data }, { where: { name: 'Jake' } }, schema).results, [data[1]]);
+    assert.throws(function() {
+      wc('people', { people: data }, { where: { name: 'Jake' } }, schema, { validateSchema: true });
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE';
+    });
+  });
+
+  it('should check the sort clause against the schema, if validateSchema is set', function() {
+    var schema = { age: { type: 'number' } };
+    var data = [{ name: 'Jake', age: 28 }, { name: 'Finn', age: 14 }];
+    assert.deepEqual(wc('people', { people: data }, { sort: 'name ASC' }, schema).results, [data[1], data[0]]);
+    wc('people', { people: data }, { sort: 'age ASC' }, schema, { validateSchema: true });
+    assert.throws(function() {
+      wc('people', { people: data }, { sort: 'name ASC' }, schema, { validateSchema: true });
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE';
+    });
+  });
+
+});
+
 describe('projections (select)', function() {
 
   // Fixtures:
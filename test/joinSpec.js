@@ -0,0 +1,124 @@
+/**
+ * Module dependencies
+ */
+var wc = require('../'),
+  assert = require('assert');
+
+describe('joins', function() {
+
+  var DATA = {
+    user: [
+      { id: 1, name: 'alice', bestFriend: 2 },
+      { id: 2, name: 'bob', bestFriend: null },
+      { id: 3, name: 'carol', bestFriend: '1' }
+    ],
+    pet: [
+      { id: 10, name: 'rex', owner: 1, age: 3 },
+      { id: 11, name: 'tom', owner: 1, age: 7 },
+      { id: 12, name: 'fluffy', owner: 2, age: 5 }
+    ],
+    user_pets__pet_fans: [
+      { id: 100, user_pets: 2, pet_fans: 10 },
+      { id: 101, user_pets: 2, pet_fans: 11 },
+      { id: 102, user_pets: 3, pet_fans: 10 }
+    ]
+  };
+
+  it('should populate a one-to-many association', function() {
+    var results = wc('user', DATA, {
+      where: { id: [1, 2] },
+      joins: [{
+        parent: 'user',
+        parentKey: 'id',
+        child: 'pet',
+        childKey: 'owner',
+        alias: 'pets',
+        collection: true,
+        select: ['name'],
+        criteria: { sort: { age: -1 } }
+      }]
+    }).results;
+
+    assert.deepEqual(results[0].pets, [{ name: 'tom' }, { name: 'rex' }]);
+    assert.deepEqual(results[1].pets, [{ name: 'fluffy' }]);
+  });
+
+  it('should populate a to-one association, matching numeric strings', function() {
+    var results = wc('user', DATA, {
+      joins: [{
+        parent: 'user',
+        parentKey: 'bestFriend',
+        child: 'user',
+        childKey: 'id',
+        alias: 'bestFriend',
+        collection: false,
+        model: true
+      }]
+    }).results;
+
+    assert.equal(results[0].bestFriend.name, 'bob');
+    assert.strictEqual(results[1].bestFriend, null);
+    assert.equal(results[2].bestFriend.name, 'alice');
+  });
+
+  it('should populate a many-to-many association through a junction table', function() {
+    var results = wc('user', DATA, {
+      select: ['name'],
+      joins: [{
+        parent: 'user',
+        parentKey: 'id',
+        child: 'user_pets__pet_fans',
+        childKey: 'user_pets',
+        alias: 'favoritePets',
+        collection: true,
+        junctionTable: true,
+        select: false
+      }, {
+        parent: 'user_pets__pet_fans',
+        parentKey: 'pet_fans',
+        child: 'pet',
+        childKey: 'id',
+        alias: 'favoritePets',
+        collection: true,
+        junctionTable: true,
+        select: ['id'],
+        criteria: { where: { age: { '>': 4 } } }
+      }]
+    }).results;
+
+    assert.deepEqual(results, [
+      { name: 'alice', favoritePets: [] },
+      { name: 'bob', favoritePets: [{ id: 11 }] },
+      { name: 'carol', favoritePets: [] }
+    ]);
+  });
+
+  it('should join on keys which are also names of `Object.prototype` members', function() {
+    var results = wc('tag', {
+      tag: [{ name: 'constructor' }, { name: 'toString' }, { name: 'other' }],
+      post: [{ id: 1, tag: 'constructor' }, { id: 2, tag: 'toString' }, { id: 3, tag: 'constructor' }]
+    }, {
+      joins: [{ parent: 'tag', parentKey: 'name', child: 'post', childKey: 'tag', alias: 'posts', collection: true, select: ['id'] }]
+    }).results;
+
+    assert.deepEqual(results.map(function(tag) { return tag.posts; }), [[{ id: 1 }, { id: 3 }], [{ id: 2 }], []]);
+  });
+
+  it('should not modify the original data', function() {
+    wc('user', DATA, {
+      joins: [{ parent: 'user', parentKey: 'id', child: 'pet', childKey: 'owner', alias: 'pets', collection: true }]
+    });
+    assert.equal(DATA.user[0].pets, undefined);
+  });
+
+  it('should refuse to join without a data dictionary', function() {
+    assert.throws(function() {
+      wc(DATA.user, {
+        joins: [{ parent: undefined, parentKey: 'id', child: 'pet', childKey: 'owner', alias: 'pets' }]
+      });
+    }, function(err) {
+      return err.code === 'E_JOINS_UNPARSEABLE';
+    });
+  });
+
+});
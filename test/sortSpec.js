@@ -0,0 +1,371 @@
+/**
+ * Module dependencies
+ */
+var wc = require('../'),
+  assert = require('assert');
+
+describe('sort', function() {
+
+  var DATASET = [
+    { name: 'b', age: 2 },
+    { name: 'a', age: 2 },
+    { name: 'c', age: 1 }
+  ];
+
+  function names(results) {
+    return results.map(function(tuple) {
+      return tuple.name;
+    });
+  }
+
+  describe('syntax', function() {
+    it('should accept a dictionary using 1/-1', function() {
+      assert.deepEqual(names(wc._sort(DATASET, { age: -1, name: 1 })), ['a', 'b', 'c']);
+    });
+
+    it('should accept a dictionary using ASC/DESC', function() {
+      assert.deepEqual(names(wc._sort(DATASET, { age: 'asc', name: 'DESC' })), ['c', 'b', 'a']);
+    });
+
+    it('should accept a string', function() {
+      assert.deepEqual(names(wc._sort(DATASET, 'name DESC')), ['c', 'b', 'a']);
+      assert.deepEqual(names(wc._sort(DATASET, 'name')), ['a', 'b', 'c']);
+      assert.deepEqual(names(wc._sort(DATASET, 'age DESC, name')), ['a', 'b', 'c']);
+    });
+
+    it('should accept an array, in order of precedence', function() {
+      assert.deepEqual(names(wc._sort(DATASET, [{ age: 'ASC' }, { name: 'DESC' }])), ['c', 'b', 'a']);
+      assert.deepEqual(names(wc._sort(DATASET, ['age DESC', { name: -1 }])), ['b', 'a', 'c']);
+    });
+
+    it('should work through query()', function() {
+      assert.deepEqual(names(wc(DATASET, { sort: 'name DESC' }).results), ['c', 'b', 'a']);
+    });
+
+    it('should reject unparseable sort clauses', function() {
+      [
+        'name SIDEWAYS',
+        'name DESC ASC',
+        ' , name',
+        { name: 'up' },
+        { name: 0 },
+        [{ name: 'ASC', age: 'DESC' }],
+        [['name']],
+        7
+      ].forEach(function(sort) {
+        assert.throws(function() {
+          wc.validateSortClause(sort);
+        }, function(err) {
+          return err.code === 'E_SORT_CLAUSE_UNPARSEABLE';
+        }, 'Expected ' + JSON.stringify(sort) + ' to be rejected');
+      });
+    });
+  });
+
+});
+
+describe('sort coercion', function() {
+
+  function pluck(results, attrName) {
+    return results.map(function(tuple) {
+      return tuple[attrName];
+    });
+  }
+
+  it('should sort numeric strings numerically', function() {
+    var sorted = wc._sort([{ n: '10' }, { n: '9' }, { n: 100 }, { n: '-1.5' }], { n: 'ASC' });
+    assert.deepEqual(pluck(sorted, 'n'), ['-1.5', '9', '10', 100]);
+  });
+
+  it('should sort ISO date strings and Date instances chronologically', function() {
+    var sorted = wc._sort([
+      { d: '2017-03-01T00:00:00.000Z' },
+      { d: new Date('2016-01-01T00:00:00.000Z') },
+      { d: '2017-01-01T00:00:00.000Z' }
+    ], { d: 'DESC' });
+    assert.deepEqual(pluck(sorted, 'd').map(function(d) { return new Date(d).getTime(); }), [
+      Date.parse('2017-03-01T00:00:00.000Z'),
+      Date.parse('2017-01-01T00:00:00.000Z'),
+      Date.parse('2016-01-01T00:00:00.000Z')
+    ]);
+  });
+
+  it('should order mixed types deterministically', function() {
+    var sorted = wc._sort([{ x: 'b' }, { x: 2 }, { x: true }, { x: 'a' }, { x: 1 }], { x: 1 });
+    assert.deepEqual(pluck(sorted, 'x'), [true, 1, 2, 'a', 'b']);
+  });
+
+  it('should use the declared type from the schema', function() {
+    var data = [{ code: '10' }, { code: '9' }, { code: '100' }];
+    assert.deepEqual(pluck(wc._sort(data, { code: 1 }, { code: { type: 'string' } }), 'code'), ['10', '100', '9']);
+    assert.deepEqual(pluck(wc._sort(data, { code: 1 }, { code: { type: 'number' } }), 'code'), ['9', '10', '100']);
+    assert.deepEqual(pluck(wc._sort([{ b: 'true' }, { b: 0 }], { b: 1 }, { b: { type: 'boolean' } }), 'b'), [0, 'true']);
+    assert.deepEqual(pluck(wc._sort([{ d: '2017-01-02' }, { d: 0 }], { d: 1 }, { d: { type: 'date' } }), 'd'), [0, '2017-01-02']);
+  });
+
+  it('should pass the schema through from query()', function() {
+    var results = wc('foo', { foo: [{ code: 9 }, { code: 10 }] }, { sort: 'code' }, { code: { type: 'string' } }).results;
+    assert.deepEqual(pluck(results, 'code'), [10, 9]);
+  });
+
+});
+
+describe('sort collation', function() {
+
+  var DATASET = [{ name: 'file10' }, { name: 'Zebra' }, { name: 'apple' }, { name: 'file2' }, { name: 'Äpfel' }];
+
+  function names(results) {
+    return results.map(function(tuple) {
+      return tuple.name;
+    });
+  }
+
+  it('should compare strings by code unit by default', function() {
+    assert.deepEqual(names(wc._sort(DATASET, 'name')), ['Zebra', 'apple', 'file10', 'file2', 'Äpfel']);
+  });
+
+  it('should support case-insensitive collation', function() {
+    assert.deepEqual(names(wc._sort(DATASET, 'name', undefined, { collation: 'nocase' })), ['apple', 'file10', 'file2', 'Zebra', 'Äpfel']);
+  });
+
+  it('should support natural collation', function() {
+    assert.deepEqual(names(wc._sort(DATASET, 'name', undefined, { collation: 'natural' })), ['Äpfel', 'apple', 'file2', 'file10', 'Zebra']);
+  });
+
+  it('should support locale-aware collation', function() {
+    // (Some builds of Node only include English collation data.)
+    if (Intl.Collator.supportedLocalesOf(['sv']).length === 0) {
+      return this.skip();
+    }
+    // In Swedish, "Ä" sorts after "Z".
+    assert.deepEqual(names(wc._sort(DATASET, 'name', undefined, { collation: { locale: 'sv', numeric: true } })), ['apple', 'file2', 'file10', 'Zebra', 'Äpfel']);
+  });
+
+  it('should accept collation as a query() option', function() {
+    var results = wc('foo', { foo: DATASET }, { sort: 'name DESC' }, undefined, { collation: 'natural' }).results;
+    assert.deepEqual(names(results), ['Zebra', 'file10', 'file2', 'apple', 'Äpfel']);
+  });
+
+  it('should reject an unrecognized collation', function() {
+    assert.throws(function() {
+      wc._sort(DATASET, 'name', undefined, { collation: 'sideways' });
+    });
+  });
+
+});
+
+describe('sort nulls', function() {
+
+  var DATASET = [{ id: 1, n: 2 }, { id: 2, n: null }, { id: 3, n: 1 }, { id: 4 }];
+
+  function ids(results) {
+    return results.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should rank nulls lowest by default', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'n ASC')).slice(2), [3, 1]);
+    assert.deepEqual(ids(wc._sort(DATASET, 'n DESC')).slice(0, 2), [1, 3]);
+  });
+
+  it('should support NULLS FIRST / NULLS LAST in string syntax', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'n ASC NULLS LAST, id')), [3, 1, 2, 4]);
+    assert.deepEqual(ids(wc._sort(DATASET, 'n desc nulls first, id')), [2, 4, 1, 3]);
+  });
+
+  it('should support `nulls` in dictionary and array syntax', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, { n: { direction: 'DESC', nulls: 'last' }, id: 'DESC' })), [1, 3, 4, 2]);
+    assert.deepEqual(ids(wc._sort(DATASET, [{ n: { nulls: 'last' } }, { id: 1 }])), [3, 1, 2, 4]);
+  });
+
+  it('should reject invalid `nulls` options', function() {
+    [
+      { n: { nulls: 'middle' } },
+      { n: { direction: 'DESC', nullz: 'last' } },
+      { n: { direction: { nulls: 'last' } } },
+      'n NULLS',
+      'n NULLS LAST DESC'
+    ].forEach(function(sort) {
+      assert.throws(function() {
+        wc.validateSortClause(sort);
+      }, function(err) {
+        return err.code === 'E_SORT_CLAUSE_UNPARSEABLE';
+      }, 'Expected ' + JSON.stringify(sort) + ' to be rejected');
+    });
+  });
+
+});
+
+describe('sort stability and tiebreakers', function() {
+
+  var SCHEMA = { id: { type: 'number', primaryKey: true }, kind: { type: 'string' } };
+  var DATASET = [
+    { id: 4, kind: 'cat' },
+    { id: 2, kind: 'dog' },
+    { id: 3, kind: 'cat' },
+    { id: 1, kind: 'dog' },
+    { id: 5, kind: 'cat' }
+  ];
+
+  function ids(tuples) {
+    return tuples.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should keep tuples which tie in their original order', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'kind')), [4, 3, 5, 2, 1]);
+    assert.deepEqual(ids(wc._sort(DATASET, 'kind DESC')), [2, 1, 4, 3, 5]);
+  });
+
+  it('should break ties using the primary key', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'kind', SCHEMA, { tiebreaker: true })), [3, 4, 5, 1, 2]);
+    assert.deepEqual(ids(wc('pets', { pets: DATASET }, { sort: 'kind DESC' }, SCHEMA, { tiebreaker: true }).results), [1, 2, 3, 4, 5]);
+  });
+
+  it('should break ties using a particular attribute', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'kind', undefined, { tiebreaker: 'id' })), [3, 4, 5, 1, 2]);
+  });
+
+  it('should not override a sort key for the tiebreaker itself', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'id DESC', SCHEMA, { tiebreaker: true })), [5, 4, 3, 2, 1]);
+  });
+
+  it('should page deterministically, even without a sort clause', function() {
+    var pages = [0, 2, 4].map(function(skip) {
+      return ids(wc('pets', { pets: DATASET }, { skip: skip, limit: 2 }, SCHEMA, { tiebreaker: true }).results);
+    });
+    assert.deepEqual(pages, [[1, 2], [3, 4], [5]]);
+  });
+
+  it('should fall back to the original position when there is no primary key', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'kind DESC', { kind: { type: 'string' } }, { tiebreaker: true })), [2, 1, 4, 3, 5]);
+    assert.deepEqual(wc._sort.resolveSortVector('kind DESC', { kind: { type: 'string' } }, { tiebreaker: true }), [
+      { attrName: 'kind', direction: -1 },
+      { position: true, direction: 1 }
+    ]);
+    assert.deepEqual(wc._sort.resolveSortVector('kind DESC', SCHEMA, { tiebreaker: true }), [
+      { attrName: 'kind', direction: -1 },
+      { attrName: 'id', direction: 1 }
+    ]);
+  });
+
+  it('should break ties by the given original positions', function() {
+    assert.deepEqual(ids(wc._sort(DATASET, 'kind', undefined, { positions: [40, 30, 20, 10, 0] })), [5, 3, 4, 1, 2]);
+  });
+
+  it('should reject an unrecognized tiebreaker', function() {
+    assert.throws(function() {
+      wc._sort(DATASET, 'kind', SCHEMA, { tiebreaker: 7 });
+    }, /tiebreaker/);
+  });
+
+});
+
+
+describe('sort with a limit', function() {
+
+  var DATASET = [];
+  for (var i = 0; i < 50; i++) {
+    DATASET.push({ id: i, score: (i * 7) % 10, name: i % 3 === 0 ? null : 'n' + (i % 4) });
+  }
+
+  function ids(tuples) {
+    return tuples.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should return the same tuples, in the same order, as a full sort', function() {
+    [{ score: 'DESC' }, 'name ASC, score DESC', [{ name: { direction: 'DESC', nulls: 'first' } }]].forEach(function(sort) {
+      [0, 1, 7, 49, 50, 60].forEach(function(limit) {
+        assert.deepEqual(ids(wc._sort(DATASET, sort, undefined, { limit: limit })), ids(wc._sort(DATASET, sort)).slice(0, limit));
+      });
+    });
+  });
+
+  it('should keep ties in their original order through query()', function() {
+    var result = wc(DATASET, { sort: { score: 'DESC' }, skip: 3, limit: 4 });
+    assert.deepEqual(result.indices, [37, 47, 4, 14]);
+    assert.deepEqual(ids(result.results), ids(wc._sort(DATASET, { score: 'DESC' })).slice(3, 7));
+  });
+
+});
+
+
+describe('sort after or before a position', function() {
+
+  var DATASET = [];
+  for (var i = 0; i < 20; i++) {
+    DATASET.push({ id: i, score: (i * 7) % 5 });
+  }
+
+  function ids(tuples) {
+    return tuples.map(function(tuple) {
+      return tuple.id;
+    });
+  }
+
+  it('should only include tuples strictly after or before the given values', function() {
+    var sorted = ids(wc._sort(DATASET, 'score DESC', undefined, { tiebreaker: 'id' }));
+    var at = sorted.indexOf(8);
+    assert.deepEqual(ids(wc._sort(DATASET, 'score DESC', undefined, { tiebreaker: 'id', after: [1, 8] })), sorted.slice(at + 1));
+    assert.deepEqual(ids(wc._sort(DATASET, 'score DESC', undefined, { tiebreaker: 'id', before: [1, 8] })), sorted.slice(0, at));
+  });
+
+  it('should keep the tuples nearest the position when there is a limit', function() {
+    var sorted = ids(wc._sort(DATASET, 'score', undefined, { tiebreaker: 'id' }));
+    var at = sorted.indexOf(11);
+    assert.deepEqual(ids(wc._sort(DATASET, 'score', undefined, { tiebreaker: 'id', after: ['2', 11], limit: 3 })), sorted.slice(at + 1, at + 4));
+    assert.deepEqual(ids(wc._sort(DATASET, 'score', undefined, { tiebreaker: 'id', before: ['2', 11], limit: 3 })), sorted.slice(at - 3, at));
+  });
+
+  it('should reject values which do not fit the sort keys', function() {
+    assert.throws(function() {
+      wc._sort(DATASET, 'score', undefined, { tiebreaker: 'id', after: [1] });
+    }, /`score`, `id`/);
+  });
+
+});
+
+
+describe('schema-aware sort validation', function() {
+
+  var MODEL = {
+    attributes: {
+      id: { type: 'number' },
+      name: { type: 'string' },
+      createdAt: { type: 'number' },
+      meta: { type: 'json' }
+    }
+  };
+
+  it('should accept known, sortable attributes', function() {
+    wc.validateSortClause('name DESC, createdAt', MODEL);
+    wc.validateSortClause([{ name: 'ASC' }, 'id DESC'], MODEL);
+    wc.validateSortClause({ createdAt: -1 }, MODEL.attributes);
+  });
+
+  it('should reject unknown attributes', function() {
+    assert.throws(function() {
+      wc.validateSortClause({ createdAtt: 'ASC' }, MODEL);
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE' && /createdAtt/.test(err.message);
+    });
+    assert.throws(function() {
+      wc.validateSortClause(['name', 'naem DESC'], MODEL);
+    }, function(err) {
+      return err.code === 'E_UNKNOWN_ATTRIBUTE' && /naem/.test(err.message);
+    });
+  });
+
+  it('should reject `json` attributes', function() {
+    assert.throws(function() {
+      wc.validateSortClause('meta', MODEL);
+    }, function(err) {
+      return err.code === 'E_ATTRIBUTE_NOT_SORTABLE';
+    });
+  });
+
+});